@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { clearEvents, loadEvents, messagesPerDay, summarizeUsage, toCSV } from './lib/analytics'
+import { download } from './lib/transfer'
+import AppearanceDialog from './components/AppearanceDialog'
+import { getLocale, t } from './lib/i18n'
+import useLocale from './hooks/useLocale'
+
+const DAYS = 14
+
+const percent = (part, total) => total ? Math.round((part / total) * 100) : 0
+
+function DailyChart({ days }) {
+  const max = Math.max(...days.map(d => d.count), 1)
+  const weekday = new Intl.DateTimeFormat(getLocale(), { weekday: 'narrow' })
+  const full = new Intl.DateTimeFormat(getLocale(), { dateStyle: 'medium' })
+  return (
+    <ol className="h-40 flex items-end gap-1" aria-label={t('analytics.perDay', { count: DAYS })}>
+      {days.map(({ date, count }) => (
+        <li key={date.toISOString()} className="flex-1 h-full flex flex-col items-center justify-end gap-1" title={`${full.format(date)}: ${count}`}>
+          <span className="text-[0.6875rem] text-slate-400 tabular-nums">{count || ''}</span>
+          <span className="w-full rounded-t bg-blue-500/70" style={{ height: `${(count / max) * 100}%`, minHeight: count ? 2 : 0 }} />
+          <span className="text-[0.6875rem] text-slate-500" aria-hidden="true">{weekday.format(date)}</span>
+          <span className="sr-only">{t('analytics.dayCount', { date: full.format(date), count })}</span>
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+// Two-part bar for the voice/typed and helpful/unhelpful splits
+function Split({ left, right, leftLabel, rightLabel, leftClass, rightClass }) {
+  const total = left + right
+  return (
+    <div>
+      <div className="h-2.5 flex rounded-full overflow-hidden bg-slate-800">
+        {total > 0 && <span className={leftClass} style={{ width: `${percent(left, total)}%` }} />}
+        {total > 0 && <span className={rightClass} style={{ width: `${percent(right, total)}%` }} />}
+      </div>
+      <div className="mt-2 flex justify-between text-xs text-slate-400 tabular-nums">
+        <span>{leftLabel}: {left} ({percent(left, total)}%)</span>
+        <span>{rightLabel}: {right} ({percent(right, total)}%)</span>
+      </div>
+    </div>
+  )
+}
+
+function Analytics() {
+  useLocale()
+  const [events, setEvents] = useState(loadEvents)
+  const [appearanceOpen, setAppearanceOpen] = useState(false)
+  const usage = summarizeUsage(events)
+  const days = messagesPerDay(events, DAYS)
+
+  const exportCSV = () => {
+    download(`roger-analytics-${new Date().toISOString().slice(0, 10)}.csv`, toCSV(events), 'text/csv')
+  }
+
+  const clear = () => {
+    clearEvents()
+    setEvents([])
+  }
+
+  const card = 'rounded-2xl border border-slate-800 bg-slate-900/60 p-4 sm:p-5'
+  const heading = 'text-sm uppercase tracking-wide text-slate-500 mb-3'
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-4 sm:p-8">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <header className="flex flex-wrap items-center gap-3">
+          <img src="/flame-icon.svg" alt="" className="w-8 h-8" />
+          <div>
+            <h1 className="text-2xl font-semibold tracking-tight">{t('analytics.title')}</h1>
+            <p className="text-xs text-slate-500">{t('analytics.description')}</p>
+          </div>
+          <div className="ms-auto flex flex-wrap items-center gap-2 text-sm">
+            <button onClick={() => setAppearanceOpen(true)} className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400">{t('appearance.title')}</button>
+            <button onClick={exportCSV} disabled={events.length === 0} className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white disabled:opacity-50">{t('analytics.exportCsv')}</button>
+            <a href="/test" className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400">{t('diagnostics.title')}</a>
+            <a href="/" className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400">{t('diagnostics.backHome')}</a>
+          </div>
+        </header>
+
+        <div className="grid sm:grid-cols-3 gap-4">
+          <section className={card}>
+            <h2 className={heading}>{t('analytics.messages')}</h2>
+            <p className="text-3xl font-semibold tabular-nums">{usage.messages}</p>
+          </section>
+          <section className={card}>
+            <h2 className={heading}>{t('analytics.avgLatency')}</h2>
+            <p className="text-3xl font-semibold tabular-nums">{usage.avgLatency == null ? '–' : t('analytics.ms', { ms: usage.avgLatency })}</p>
+            <p className="mt-1 text-xs text-slate-500">{t('analytics.latencyHint')}</p>
+          </section>
+          <section className={card}>
+            <h2 className={heading}>{t('analytics.ratedReplies')}</h2>
+            <p className="text-3xl font-semibold tabular-nums">{usage.up + usage.down}</p>
+          </section>
+        </div>
+
+        <section className={card}>
+          <h2 className={heading}>{t('analytics.perDay', { count: DAYS })}</h2>
+          <DailyChart days={days} />
+        </section>
+
+        <div className="grid sm:grid-cols-2 gap-4">
+          <section className={card}>
+            <h2 className={heading}>{t('analytics.input')}</h2>
+            <Split left={usage.typed} right={usage.voice} leftLabel={t('analytics.typed')} rightLabel={t('analytics.voice')} leftClass="bg-blue-500" rightClass="bg-purple-400" />
+          </section>
+          <section className={card}>
+            <h2 className={heading}>{t('analytics.feedback')}</h2>
+            <Split left={usage.up} right={usage.down} leftLabel={t('feedback.good')} rightLabel={t('feedback.bad')} leftClass="bg-emerald-400" rightClass="bg-red-400" />
+          </section>
+        </div>
+
+        <div className="flex justify-end">
+          <button onClick={clear} disabled={events.length === 0} className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-slate-200 disabled:opacity-50">{t('analytics.clear')}</button>
+        </div>
+      </div>
+      <AppearanceDialog open={appearanceOpen} onOpenChange={setAppearanceOpen} />
+    </div>
+  )
+}
+
+export default Analytics
@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { signIn, signUp } from './lib/auth'
+import { describeError, HttpError } from './lib/api'
+import useSession from './hooks/useSession'
+import useLocale from './hooks/useLocale'
+import { t } from './lib/i18n'
+
+const fieldClass = 'w-full mt-1 px-3 py-2 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 outline-none focus:border-blue-500'
+
+function loginError(err, mode) {
+  if (err instanceof HttpError) {
+    if (mode === 'signin' && (err.status === 400 || err.status === 401)) return t('login.incorrect')
+    if (mode === 'signup' && err.status === 409) return t('login.exists')
+    if (err.isClientError && !err.message.startsWith('Request failed')) return err.message
+  }
+  return describeError(err)
+}
+
+function Login() {
+  const session = useSession()
+  useLocale()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [mode, setMode] = useState('signin') // signin | signup
+  const [name, setName] = useState('')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const from = location.state?.from
+  const target = from ? `${from.pathname}${from.search || ''}` : '/'
+  const expired = location.state?.reason === 'expired'
+
+  if (session) return <Navigate to={target} replace />
+
+  const submit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSubmitting(true)
+    try {
+      if (mode === 'signin') await signIn({ email: email.trim(), password })
+      else await signUp({ name: name.trim(), email: email.trim(), password })
+      navigate(target, { replace: true })
+    } catch (err) {
+      setError(loginError(err, mode))
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const switchMode = () => {
+    setMode(m => m === 'signin' ? 'signup' : 'signin')
+    setError('')
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 flex items-center justify-center p-4">
+      <form onSubmit={submit} className="w-full max-w-sm p-6 rounded-2xl border border-slate-700 bg-slate-900/70 shadow-2xl">
+        <div className="flex items-center gap-3 mb-6">
+          <img src="/flame-icon.svg" alt="" className="w-8 h-8" />
+          <h1 className="text-xl font-semibold tracking-tight">{mode === 'signin' ? t('login.signInTitle') : t('login.signUpTitle')}</h1>
+        </div>
+
+        {expired && mode === 'signin' && (
+          <p className="mb-4 text-sm text-amber-300">{t('login.expired')}</p>
+        )}
+
+        <div className="space-y-4">
+          {mode === 'signup' && (
+            <label className="block text-sm text-slate-300">
+              {t('login.name')}
+              <input value={name} onChange={(e) => setName(e.target.value)} autoComplete="name" className={fieldClass} />
+            </label>
+          )}
+          <label className="block text-sm text-slate-300">
+            {t('login.email')}
+            <input type="email" required value={email} onChange={(e) => setEmail(e.target.value)} autoComplete="email" autoFocus className={fieldClass} />
+          </label>
+          <label className="block text-sm text-slate-300">
+            {t('login.password')}
+            <input
+              type="password"
+              required
+              minLength={mode === 'signup' ? 8 : undefined}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              autoComplete={mode === 'signin' ? 'current-password' : 'new-password'}
+              className={fieldClass}
+            />
+          </label>
+        </div>
+
+        {error && <p role="alert" className="mt-4 text-sm text-red-300">{error}</p>}
+
+        <button type="submit" disabled={submitting} className="mt-6 w-full py-2 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:opacity-60 text-white text-sm font-medium">
+          {submitting ? t('login.wait') : mode === 'signin' ? t('login.signIn') : t('login.signUp')}
+        </button>
+
+        <p className="mt-4 text-center text-sm text-slate-400">
+          {mode === 'signin' ? t('login.newHere') : t('login.haveAccount')}{' '}
+          <button type="button" onClick={switchMode} className="text-blue-400 hover:text-blue-300">
+            {mode === 'signin' ? t('login.createAccount') : t('login.signIn')}
+          </button>
+        </p>
+      </form>
+    </div>
+  )
+}
+
+export default Login
@@ -1,127 +1,262 @@
 import { useState, useEffect } from 'react'
+import { BACKEND_URL, HttpError, request } from './lib/api'
+import { addSample, checkCapabilities, createProbeConversation, deleteProbeConversation, loadHistory, probes, saveHistory, summarize, timed } from './lib/diagnostics'
+import { download } from './lib/transfer'
+import AppearanceDialog from './components/AppearanceDialog'
+import { t } from './lib/i18n'
+import useLocale from './hooks/useLocale'
+
+const ENDPOINTS = [
+  { name: 'conversations', label: 'GET /api/conversations' },
+  { name: 'messages', label: 'GET /api/conversations/:id/messages' },
+  { name: 'ask', label: 'POST /api/ask' },
+]
+
+const AUTO_REFRESH_MS = 15000
+
+function LatencyChart({ samples }) {
+  if (samples.length === 0) {
+    return <div className="h-12 flex items-center text-xs text-slate-500">{t('diagnostics.noSamples')}</div>
+  }
+  const width = 200
+  const height = 48
+  const max = Math.max(...samples.map(s => s.ms), 1)
+  const step = samples.length > 1 ? width / (samples.length - 1) : 0
+  const points = samples.map((s, i) => [samples.length > 1 ? i * step : width / 2, height - 4 - (s.ms / max) * (height - 8)])
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-12" role="img" aria-label={t('diagnostics.latencyHistory', { count: samples.length })}>
+      <polyline points={points.map(p => p.join(',')).join(' ')} fill="none" stroke="currentColor" strokeWidth="1.5" className="text-blue-400" vectorEffect="non-scaling-stroke" />
+      {points.map(([x, y], i) => !samples[i].ok && <circle key={i} cx={x} cy={y} r="2.5" className="fill-red-400" />)}
+    </svg>
+  )
+}
+
+function Status({ ok }) {
+  if (ok === null || ok === undefined) return <span className="text-amber-300">●</span>
+  return ok ? <span className="text-emerald-400">●</span> : <span className="text-red-400">●</span>
+}
 
 function Test() {
-  const [backendStatus, setBackendStatus] = useState('checking...')
-  const [backendUrl, setBackendUrl] = useState('')
+  useLocale()
+  const [backendStatus, setBackendStatus] = useState(() => t('diagnostics.checking'))
   const [databaseStatus, setDatabaseStatus] = useState(null)
+  const [history, setHistory] = useState(loadHistory)
+  const [running, setRunning] = useState(null) // endpoint name being measured
+  const [capabilities, setCapabilities] = useState(null)
+  const [autoRefresh, setAutoRefresh] = useState(false)
+  const [copied, setCopied] = useState('')
+  const [appearanceOpen, setAppearanceOpen] = useState(false)
 
   useEffect(() => {
     checkBackendConnection()
+    measureReads()
+    checkCapabilities().then(setCapabilities)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
+  useEffect(() => {
+    saveHistory(history)
+  }, [history])
+
+  useEffect(() => {
+    if (!autoRefresh) return
+    const timer = setInterval(measureReads, AUTO_REFRESH_MS)
+    return () => clearInterval(timer)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [autoRefresh])
+
   const checkBackendConnection = async () => {
     try {
-      // Get backend URL from environment variable
-      const baseUrl = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
-      setBackendUrl(baseUrl)
-
       // Test basic backend connectivity
-      const response = await fetch(`${baseUrl}`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        setBackendStatus(`✅ Connected - ${data.message || 'OK'}`)
-        
-        // Now test database connectivity
-        await checkDatabaseConnection(baseUrl)
-      } else {
-        setBackendStatus(`❌ Failed - ${response.status} ${response.statusText}`)
-        setDatabaseStatus({ error: 'Backend not accessible' })
-      }
+      const data = await request('/', { retries: 0 })
+      setBackendStatus(`✅ ${t('diagnostics.connected', { message: data?.message || 'OK' })}`)
+
+      // Now test database connectivity
+      await checkDatabaseConnection()
     } catch (error) {
-      setBackendStatus(`❌ Error - ${error.message}`)
-      setDatabaseStatus({ error: 'Backend not accessible' })
+      setBackendStatus(`❌ ${t(error instanceof HttpError ? 'diagnostics.failed' : 'diagnostics.error', { message: error.message })}`)
+      setDatabaseStatus({ error: t('diagnostics.backendUnreachable') })
     }
   }
 
-  const checkDatabaseConnection = async (baseUrl) => {
+  const checkDatabaseConnection = async () => {
     try {
-      const response = await fetch(`${baseUrl}/test`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      })
-
-      if (response.ok) {
-        const dbData = await response.json()
-        setDatabaseStatus(dbData)
-      } else {
-        setDatabaseStatus({ error: `Failed to check database - ${response.status}` })
-      }
+      const dbData = await request('/test', { retries: 0 })
+      setDatabaseStatus(dbData)
     } catch (error) {
-      setDatabaseStatus({ error: `Database check failed - ${error.message}` })
+      setDatabaseStatus({ error: t('diagnostics.databaseFailed', { message: error.message }) })
     }
   }
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-purple-50 to-blue-50 flex items-center justify-center p-8">
-      <div className="bg-white p-8 rounded-lg shadow-lg max-w-md w-full">
-        <h1 className="text-3xl font-bold text-gray-800 mb-6 text-center">
-          Backend & Database Test
-        </h1>
-
-        <div className="space-y-4">
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend URL:</h3>
-            <p className="text-sm text-gray-600 break-all bg-gray-100 p-2 rounded">
-              {backendUrl || 'Detecting...'}
-            </p>
-          </div>
+  const record = (name, sample) => setHistory(prev => addSample(prev, name, sample))
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Backend Status:</h3>
-            <p className="text-sm font-mono bg-gray-100 p-2 rounded">
-              {backendStatus}
-            </p>
+  // The two read endpoints are cheap and side-effect free, so they run on every refresh,
+  // one after the other: the messages probe reads the first conversation the list returns
+  const measureReads = async () => {
+    setRunning('conversations')
+    const list = await timed(probes.conversations)
+    record('conversations', list.sample)
+    const first = Array.isArray(list.result) ? list.result[0] : null
+    if (first) {
+      setRunning('messages')
+      record('messages', (await timed(() => probes.messages(first.id))).sample)
+    }
+    setRunning(null)
+  }
+
+  const measureAsk = async () => {
+    setRunning('ask')
+    // Only the ping is timed; creating and deleting its conversation are not
+    const setup = await timed(createProbeConversation)
+    if (setup.result) {
+      record('ask', (await timed(() => probes.ask(setup.result))).sample)
+      deleteProbeConversation(setup.result)
+    } else {
+      record('ask', setup.sample)
+    }
+    setRunning(null)
+  }
+
+  const report = () => ({
+    generated_at: new Date().toISOString(),
+    backend_url: BACKEND_URL,
+    page: window.location.origin,
+    user_agent: navigator.userAgent,
+    language: navigator.language,
+    online: navigator.onLine,
+    backend: { status: backendStatus, database: databaseStatus },
+    endpoints: Object.fromEntries(ENDPOINTS.map(({ name, label }) => [label, { ...summarize(history[name]), samples: history[name] || [] }])),
+    capabilities,
+  })
+
+  const copyReport = async () => {
+    const json = JSON.stringify(report(), null, 2)
+    try {
+      await navigator.clipboard.writeText(json)
+      setCopied(t('diagnostics.copied'))
+    } catch {
+      // No clipboard access (insecure context, denied permission): save it instead
+      download(`roger-diagnostics-${new Date().toISOString().slice(0, 10)}.json`, json, 'application/json')
+      setCopied(t('diagnostics.downloaded'))
+    }
+    setTimeout(() => setCopied(''), 2500)
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 p-4 sm:p-8">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <header className="flex flex-wrap items-center gap-3">
+          <img src="/flame-icon.svg" alt="" className="w-8 h-8" />
+          <h1 className="text-2xl font-semibold tracking-tight">{t('diagnostics.title')}</h1>
+          <div className="ms-auto flex items-center gap-2 text-sm">
+            {copied && <span className="text-xs text-slate-400">{copied}</span>}
+            <button onClick={() => setAppearanceOpen(true)} className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400">{t('appearance.title')}</button>
+            <button onClick={copyReport} className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white">{t('diagnostics.copyReport')}</button>
+            <a href="/analytics" className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400">{t('analytics.title')}</a>
+            <a href="/" className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400">{t('diagnostics.backHome')}</a>
           </div>
+        </header>
 
-          <div>
-            <h3 className="text-lg font-semibold text-gray-700 mb-2">Database Status:</h3>
-            <div className="text-sm bg-gray-100 p-3 rounded">
+        <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4 sm:p-5">
+          <h2 className="text-sm uppercase tracking-wide text-slate-500 mb-3">{t('diagnostics.backend')}</h2>
+          <dl className="grid sm:grid-cols-[10rem_1fr] gap-x-4 gap-y-2 text-sm">
+            <dt className="text-slate-400">VITE_BACKEND_URL</dt>
+            <dd className="font-mono break-all" dir="ltr">
+              {BACKEND_URL}
+              {!import.meta.env.VITE_BACKEND_URL && <span className="ms-2 text-xs text-amber-300">{t('diagnostics.notSet')}</span>}
+            </dd>
+            <dt className="text-slate-400">{t('diagnostics.backendStatus')}</dt>
+            <dd className="font-mono">{backendStatus}</dd>
+            <dt className="text-slate-400">{t('diagnostics.database')}</dt>
+            <dd>
               {databaseStatus ? (
                 databaseStatus.error ? (
-                  <p className="text-red-600 font-mono">{databaseStatus.error}</p>
+                  <span className="text-red-300 font-mono">{databaseStatus.error}</span>
                 ) : (
-                  <div className="space-y-2">
-                    <p><span className="font-semibold">Backend:</span> {databaseStatus.backend}</p>
-                    <p><span className="font-semibold">Database:</span> {databaseStatus.database}</p>
-                    <p><span className="font-semibold">DB URL:</span> {databaseStatus.database_url}</p>
-                    <p><span className="font-semibold">DB Name:</span> {databaseStatus.database_name}</p>
-                    <p><span className="font-semibold">Connection:</span> {databaseStatus.connection_status}</p>
+                  <div className="space-y-1">
+                    <p><span className="text-slate-400">{t('diagnostics.db.backend')}</span> {databaseStatus.backend}</p>
+                    <p><span className="text-slate-400">{t('diagnostics.db.database')}</span> {databaseStatus.database}</p>
+                    <p><span className="text-slate-400">{t('diagnostics.db.url')}</span> {databaseStatus.database_url}</p>
+                    <p><span className="text-slate-400">{t('diagnostics.db.name')}</span> {databaseStatus.database_name}</p>
+                    <p><span className="text-slate-400">{t('diagnostics.db.connection')}</span> {databaseStatus.connection_status}</p>
                     {databaseStatus.collections && databaseStatus.collections.length > 0 && (
-                      <p><span className="font-semibold">Collections:</span> {databaseStatus.collections.join(', ')}</p>
+                      <p><span className="text-slate-400">{t('diagnostics.db.collections')}</span> {databaseStatus.collections.join(', ')}</p>
                     )}
                   </div>
                 )
               ) : (
-                <p className="text-gray-500 font-mono">Checking database...</p>
+                <span className="text-slate-500 font-mono">{t('diagnostics.checkingDatabase')}</span>
               )}
-            </div>
+            </dd>
+          </dl>
+          <button onClick={checkBackendConnection} className="mt-4 px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400 text-sm">{t('diagnostics.testAgain')}</button>
+        </section>
+
+        <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4 sm:p-5">
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <h2 className="text-sm uppercase tracking-wide text-slate-500">{t('diagnostics.latency')}</h2>
+            <label className="ms-auto flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={autoRefresh} onChange={(e) => setAutoRefresh(e.target.checked)} />
+              {t('diagnostics.autoRefresh', { seconds: AUTO_REFRESH_MS / 1000 })}
+            </label>
+            <button onClick={measureReads} disabled={!!running} className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400 disabled:opacity-50 text-sm">{t('diagnostics.measureReads')}</button>
+            <button onClick={() => setHistory({})} className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-slate-200">{t('diagnostics.clearHistory')}</button>
           </div>
+          <div className="grid md:grid-cols-3 gap-4">
+            {ENDPOINTS.map(({ name, label }) => {
+              const samples = history[name] || []
+              const stats = summarize(samples)
+              const last = samples[samples.length - 1]
+              return (
+                <div key={name} className="rounded-xl border border-slate-800 bg-slate-950/40 p-3">
+                  <div className="flex items-center gap-2 text-xs font-mono text-slate-300">
+                    <Status ok={last ? last.ok : null} />
+                    <span className="truncate" title={label} dir="ltr">{label}</span>
+                  </div>
+                  <div className="mt-2"><LatencyChart samples={samples} /></div>
+                  <div className="mt-2 grid grid-cols-4 gap-1 text-[0.6875rem] text-slate-400 tabular-nums">
+                    <span>{t('diagnostics.avg', { ms: stats.avg ?? '–' })}</span>
+                    <span>{t('diagnostics.p95', { ms: stats.p95 ?? '–' })}</span>
+                    <span>{t('diagnostics.max', { ms: stats.max ?? '–' })}</span>
+                    <span className={stats.failures ? 'text-red-300' : ''}>{t('diagnostics.failures', { failures: stats.failures, count: stats.count })}</span>
+                  </div>
+                  {last && !last.ok && <p className="mt-2 text-xs text-red-300 break-words">{last.status ? `${last.status}: ` : ''}{last.error}</p>}
+                  {name === 'ask' && (
+                    <button onClick={measureAsk} disabled={!!running} className="mt-3 w-full px-2 py-1 rounded-lg border border-slate-600 hover:border-slate-400 disabled:opacity-50 text-xs">
+                      {running === 'ask' ? t('diagnostics.waitingForReply') : t('diagnostics.sendTest')}
+                    </button>
+                  )}
+                  {name === 'ask' && <p className="mt-1 text-[0.6875rem] text-slate-500">{t('diagnostics.sendTestHint')}</p>}
+                  {name === 'messages' && samples.length === 0 && <p className="mt-1 text-[0.6875rem] text-slate-500">{t('diagnostics.needsConversation')}</p>}
+                </div>
+              )
+            })}
+          </div>
+        </section>
 
-          <button
-            onClick={checkBackendConnection}
-            className="w-full bg-blue-500 hover:bg-blue-600 text-white font-semibold py-2 px-4 rounded transition-colors"
-          >
-            Test Again
-          </button>
-
-          <a
-            href="/"
-            className="block w-full bg-gray-500 hover:bg-gray-600 text-white font-semibold py-2 px-4 rounded text-center transition-colors"
-          >
-            Back to Home
-          </a>
-        </div>
+        <section className="rounded-2xl border border-slate-800 bg-slate-900/60 p-4 sm:p-5">
+          <div className="flex items-center mb-3">
+            <h2 className="text-sm uppercase tracking-wide text-slate-500">{t('diagnostics.capabilities')}</h2>
+            <button onClick={() => { setCapabilities(null); checkCapabilities().then(setCapabilities) }} className="ms-auto px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-slate-200">{t('diagnostics.recheck')}</button>
+          </div>
+          {capabilities ? (
+            <ul className="divide-y divide-slate-800 text-sm">
+              {Object.entries(capabilities).map(([key, { ok, detail }]) => (
+                <li key={key} className="py-2 flex items-center gap-3">
+                  <Status ok={ok} />
+                  <span className="text-slate-200">{t(`diagnostics.capability.${key}`)}</span>
+                  <span className="ms-auto text-slate-400 text-end">{detail}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-slate-500">{t('diagnostics.checkingCapabilities')}</p>
+          )}
+        </section>
       </div>
+      <AppearanceDialog open={appearanceOpen} onOpenChange={setAppearanceOpen} />
     </div>
   )
 }
 
-export default Test
\ No newline at end of file
+export default Test
@@ -0,0 +1,64 @@
+import * as Dialog from '@radix-ui/react-dialog'
+import { DEFAULT_APPEARANCE, DENSITIES, FONT_SIZES, THEMES } from '../lib/appearance'
+import { LOCALES, setLocale, t } from '../lib/i18n'
+import useTheme from '../hooks/useTheme'
+import useLocale from '../hooks/useLocale'
+
+function Segmented({ name, label, options, value, onChange }) {
+  return (
+    <fieldset>
+      <legend className="text-sm text-slate-300">{label}</legend>
+      <div className="mt-1.5 flex rounded-lg border border-slate-700 p-0.5">
+        {options.map(id => (
+          <label key={id} className={`flex-1 text-center px-2 py-1 rounded-md text-sm cursor-pointer focus-within:ring-2 focus-within:ring-blue-400 ${value === id ? 'bg-slate-700 text-slate-100' : 'text-slate-400 hover:text-slate-200'}`}>
+            <input type="radio" name={name} value={id} checked={value === id} onChange={() => onChange(id)} className="sr-only" />
+            {t(`appearance.${name}.${id}`)}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  )
+}
+
+// Language, theme, text size, density and contrast. Shared by Chat and the diagnostics
+// page; changes apply immediately through ThemeProvider and the i18n store.
+export default function AppearanceDialog({ open, onOpenChange }) {
+  const { appearance, updateAppearance, setAppearance } = useTheme()
+  const locale = useLocale()
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+        <Dialog.Content className="fixed z-[80] left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[calc(100%-2rem)] max-w-md max-h-[90vh] overflow-y-auto p-5 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl">
+          <Dialog.Title className="text-lg font-semibold">{t('appearance.title')}</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm text-slate-400">{t('appearance.description')}</Dialog.Description>
+
+          <div className="mt-5 space-y-4">
+            <label className="block text-sm text-slate-300">
+              {t('appearance.language')}
+              <select value={locale} onChange={(e) => setLocale(e.target.value)} className="w-full mt-1 px-3 py-2 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 outline-none focus:border-blue-500">
+                {LOCALES.map(l => <option key={l.id} value={l.id} lang={l.id}>{l.label}</option>)}
+              </select>
+            </label>
+            <Segmented name="theme" label={t('appearance.theme')} options={THEMES} value={appearance.theme} onChange={(theme) => updateAppearance({ theme })} />
+            <Segmented name="fontSize" label={t('appearance.fontSize')} options={FONT_SIZES} value={appearance.fontSize} onChange={(fontSize) => updateAppearance({ fontSize })} />
+            <Segmented name="density" label={t('appearance.density')} options={DENSITIES} value={appearance.density} onChange={(density) => updateAppearance({ density })} />
+            <label className="flex items-center gap-2 text-sm text-slate-300">
+              <input type="checkbox" checked={appearance.highContrast} onChange={(e) => updateAppearance({ highContrast: e.target.checked })} />
+              {t('appearance.highContrast')}
+              <span className="ms-auto text-xs text-slate-500">{t('appearance.highContrastHint')}</span>
+            </label>
+          </div>
+
+          <div className="mt-6 flex justify-between">
+            <button onClick={() => setAppearance({ ...DEFAULT_APPEARANCE })} className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-slate-200">{t('common.resetDefaults')}</button>
+            <Dialog.Close asChild>
+              <button className="px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('common.done')}</button>
+            </Dialog.Close>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
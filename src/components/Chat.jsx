@@ -1,94 +1,295 @@
-import { useEffect, useRef, useState, useMemo } from 'react'
+import { useEffect, useLayoutEffect, useRef, useState, useMemo } from 'react'
+import { flushSync } from 'react-dom'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
+import { useVirtualizer } from '@tanstack/react-virtual'
+import { isStreamResponse, readTextStream } from '../lib/stream'
+import { toSpeakableText } from '../lib/speech'
+import { isLocalId, newLocalId, getConversations, putConversation, saveConversations, getMessages, addMessages, replaceMessages, updateMessage, enqueue, getQueue, deleteConversation as deleteLocalConversation } from '../lib/db'
+import { flushQueue } from '../lib/sync'
+import MessageBubble from './MessageBubble'
+import ConversationList, { orderConversations } from './ConversationList'
+import SearchPalette from './SearchPalette'
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu'
+import * as Dialog from '@radix-ui/react-dialog'
+import { toMarkdown, toJSON, parseImport, exportFilename, download } from '../lib/transfer'
+import { loadVoiceSettings, saveVoiceSettings, configureUtterance } from '../lib/voiceSettings'
+import VoiceSettingsDialog from './VoiceSettingsDialog'
+import PersonaDialog from './PersonaDialog'
+import ShortcutsDialog from './ShortcutsDialog'
+import AppearanceDialog from './AppearanceDialog'
+import SnippetsDialog from './SnippetsDialog'
+import SnippetMenu, { SnippetFill, snippetOptionId } from './SnippetMenu'
+import { loadPersonas, savePersonas, findPersona, greetingFor, personaPayload, contextLimitFor } from '../lib/personas'
+import { estimateTokens, estimateThreadTokens, contextLevel } from '../lib/tokens'
+import { loadDraft, saveDraft, deleteDraft, moveDraft, loadPromptHistory, addToPromptHistory } from '../lib/composer'
+import { loadSnippets, saveSnippets, matchSnippets, placeholdersIn, fillSnippet } from '../lib/snippets'
+import { recordMessage, recordFeedback } from '../lib/analytics'
+import { requestQueueSync, onQueueSyncRequest } from '../lib/pwa'
+import { broadcast, onBroadcast, withTabLock, claimMedia, claimFreeMedia, releaseMedia, onMediaLost } from '../lib/tabs'
+import useSpeechPlayer from '../hooks/useSpeechPlayer'
+import { isMac, matchShortcut, ariaKeys } from '../lib/shortcuts'
+import { t, speechLang, getLocale } from '../lib/i18n'
+import useLocale from '../hooks/useLocale'
+import { signOut } from '../lib/auth'
+import { withoutProbeConversations } from '../lib/diagnostics'
+import useSession from '../hooks/useSession'
+import { api, request, checkHealth, describeError, ASK_TIMEOUT, HttpError, NetworkError, TimeoutError } from '../lib/api'
+import { ACCEPT, askRequestInit, attachmentMeta, formatSize, makeAttachment, storableAttachments, validateFiles } from '../lib/attachments'
 
-const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+const RECONNECT_INTERVAL = 10000
+const HEALTH_INTERVAL = 60000
+const FOCUS_HIGHLIGHT_MS = 2500
+const PAGE_SIZE = 50
+const ESTIMATED_MESSAGE_HEIGHT = 120
+const NEAR_BOTTOM_PX = 120
+const LOAD_OLDER_THRESHOLD_PX = 300
+// `cursor` fetches the next older page; `offset` counts stored messages above the loaded window
+const NO_OLDER = { cursor: null, offset: 0 }
+
+const SILENCE_TIMEOUT_MS = 20000
+const FATAL_RECOGNITION_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture']
+const VOICE_PHASES = {
+  listening: { label: 'voice.phase.listening', className: 'border-emerald-400/60 text-emerald-300' },
+  thinking: { label: 'voice.phase.thinking', className: 'border-blue-400/60 text-blue-300' },
+  speaking: { label: 'voice.phase.speaking', className: 'border-purple-400/60 text-purple-300' },
+}
+
+// The composer holds only "/query" while the snippet menu is offered
+const SLASH_QUERY = /^\/(\S*)$/
+const SNIPPET_MENU_ID = 'snippet-menu'
+// Messages carried verbatim into a summarized continuation (the latest exchange)
+const KEEP_AFTER_SUMMARY = 2
+
+// Server ids when the backend sends them, otherwise a client id assigned on load
+const messageKey = (m) => m.id ?? m._id ?? m.client_id ?? (m.greeting ? 'greeting' : undefined)
+const withMessageIds = (list) => list.map(m => messageKey(m) !== undefined ? m : { ...m, client_id: newLocalId() })
+
+// Deep links: /c/:conversationId and /c/:conversationId/m/:messageIndex
+const conversationPath = (id, messageIndex) =>
+  `/c/${encodeURIComponent(id)}${messageIndex != null ? `/m/${messageIndex}` : ''}`
+
+const messageIndexParam = (value) => /^\d+$/.test(value ?? '') ? Number(value) : null
 
 function StatusDot({ ok }) {
   return (
-    <span className={`inline-block w-2 h-2 rounded-full ${ok ? 'bg-emerald-400' : 'bg-amber-400'} shadow`} title={ok ? 'Connected' : 'Offline'} />
+    <span role="img" aria-label={ok ? t('status.connected') : t('status.offline')} className={`inline-block w-2 h-2 rounded-full ${ok ? 'bg-emerald-400' : 'bg-amber-400'} shadow`} title={ok ? t('status.connected') : t('status.offline')} />
+  )
+}
+
+function ContextMeter({ draft, thread, limit, level }) {
+  const number = new Intl.NumberFormat(getLocale())
+  return (
+    <span title={t('context.meterTitle')} className={`tabular-nums ${level === 'over' ? 'text-red-300' : level === 'near' ? 'text-amber-300' : ''}`}>
+      {draft > 0 && <>{t('context.draft', { count: draft, tokens: number.format(draft) })} · </>}
+      {t('context.thread', { used: number.format(thread), limit: number.format(limit) })}
+    </span>
+  )
+}
+
+// Links between a summarized conversation and its continuation
+function ContinuationLink({ label, conversation, onOpen }) {
+  return (
+    <div className="flex justify-center py-2 text-xs text-slate-500 print:hidden">
+      <button onClick={onOpen} className="hover:text-slate-300">
+        {t(label, { title: conversation?.title || t('conversation.untitled') })}
+      </button>
+    </div>
   )
 }
 
-function MessageBubble({ role, content, onSpeak, voiceEnabled }) {
-  const isUser = role === 'user'
+function VoicePhaseIndicator({ phase, onStop }) {
+  const { label, className } = VOICE_PHASES[phase] || VOICE_PHASES.listening
   return (
-    <div className={`flex ${isUser ? 'justify-end' : 'justify-start'} w-full`}>
-      <div className={`${isUser ? 'bg-blue-600 text-white' : 'bg-slate-800 text-slate-100'} max-w-[85%] sm:max-w-[80%] px-4 py-3 rounded-2xl shadow-md whitespace-pre-wrap relative text-[15px] sm:text-base`}
-           style={{ borderTopRightRadius: isUser ? '0.5rem' : '1rem', borderTopLeftRadius: isUser ? '1rem' : '0.5rem' }}>
-        {content}
-        {!isUser && voiceEnabled && (
-          <button aria-label="Speak"
-                  onClick={onSpeak}
-                  className="absolute -right-9 sm:-right-10 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-200 transition-colors">
-            🔈
-          </button>
+    <button onClick={onStop} title={t('voice.endConversationMode')} aria-label={t('voice.phaseLabel', { phase: t(label) })} className={`flex items-center gap-1.5 px-2 py-1 rounded-full border ${className}`}>
+      <span className="relative flex w-2 h-2" aria-hidden="true">
+        <span className="absolute inline-flex w-full h-full rounded-full bg-current opacity-60 animate-ping" />
+        <span className="relative inline-flex w-2 h-2 rounded-full bg-current" />
+      </span>
+      {t(label)}
+    </button>
+  )
+}
+
+function AttachmentChip({ attachment, onRemove }) {
+  return (
+    <div className="relative flex items-center gap-2 ps-1 pe-7 py-1 rounded-lg border border-slate-700 bg-slate-800/70 max-w-[14rem]">
+      {attachment.url
+        ? <img src={attachment.url} alt="" className="w-10 h-10 rounded object-cover" />
+        : <span className="w-10 h-10 flex items-center justify-center rounded bg-slate-900 text-lg">📄</span>}
+      <div className="min-w-0 text-xs">
+        <div className="truncate text-slate-200">{attachment.name}</div>
+        <div className="text-slate-500">{formatSize(attachment.size)}</div>
+      </div>
+      <button aria-label={t('attachments.remove', { name: attachment.name })} onClick={onRemove} className="absolute top-1 end-1 px-1 text-slate-400 hover:text-slate-100">✕</button>
+    </div>
+  )
+}
+
+function ConversationNotFound({ onNew, onLatest, canGoLatest }) {
+  return (
+    <div className="h-full flex flex-col items-center justify-center text-center px-6 py-16">
+      <div className="text-4xl mb-3">🔍</div>
+      <h2 className="text-lg font-semibold text-slate-100">{t('notFound.title')}</h2>
+      <p className="mt-2 max-w-sm text-sm text-slate-400">{t('notFound.body')}</p>
+      <div className="mt-5 flex gap-2">
+        {canGoLatest && (
+          <button onClick={onLatest} className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400 text-sm">{t('notFound.openLatest')}</button>
         )}
+        <button onClick={onNew} className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('conversation.new')}</button>
       </div>
     </div>
   )
 }
 
-function Sidebar({ conversations, activeId, onSelect, onNew }) {
+function SearchButton({ onClick }) {
+  return (
+    <button onClick={onClick} aria-keyshortcuts={ariaKeys('search')} className="w-full flex items-center gap-2 px-3 py-2 rounded-lg border border-slate-800 text-sm text-slate-500 hover:text-slate-300 hover:border-slate-600">
+      <span>{t('search.button')}</span>
+      <kbd className="ms-auto text-[0.6875rem] text-slate-500" aria-hidden="true">{isMac ? '⌘K' : 'Ctrl K'}</kbd>
+    </button>
+  )
+}
+
+function TransferActions({ onExportAll, onImport }) {
+  const fileRef = useRef(null)
+  return (
+    <div className="p-2 border-t border-slate-800 flex items-center gap-2 text-xs">
+      <button onClick={() => fileRef.current?.click()} className="px-2 py-1 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-800/60">{t('transfer.import')}</button>
+      <input
+        ref={fileRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files?.[0]
+          e.target.value = ''
+          if (file) onImport(file)
+        }}
+      />
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger asChild>
+          <button className="ms-auto px-2 py-1 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-800/60">{t('transfer.exportAll')}</button>
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Portal>
+          <DropdownMenu.Content align="end" side="top" sideOffset={4} className="z-[60] min-w-[9rem] p-1 rounded-lg border border-slate-700 bg-slate-900 shadow-xl">
+            <DropdownMenu.Item className="px-3 py-1.5 rounded-md text-sm text-slate-200 outline-none cursor-pointer data-[highlighted]:bg-slate-800" onSelect={() => onExportAll('markdown')}>Markdown</DropdownMenu.Item>
+            <DropdownMenu.Item className="px-3 py-1.5 rounded-md text-sm text-slate-200 outline-none cursor-pointer data-[highlighted]:bg-slate-800" onSelect={() => onExportAll('json')}>JSON</DropdownMenu.Item>
+          </DropdownMenu.Content>
+        </DropdownMenu.Portal>
+      </DropdownMenu.Root>
+    </div>
+  )
+}
+
+const menuItemClass = 'px-3 py-1.5 rounded-md text-sm text-slate-200 outline-none cursor-pointer data-[highlighted]:bg-slate-800'
+
+// "New" starts a conversation with the default persona; the arrow picks another one
+function NewConversationButton({ personas, onNew, onManagePersonas }) {
+  return (
+    <div className="ms-auto flex">
+      <button onClick={() => onNew()} aria-label={t('conversation.new')} aria-keyshortcuts={ariaKeys('new')} className="px-3 py-1.5 rounded-s-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('conversation.newShort')}</button>
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger asChild>
+          <button aria-label={t('conversation.newWithPersona')} className="px-1.5 py-1.5 rounded-e-lg border-s border-blue-500/60 bg-blue-600 hover:bg-blue-500 text-white text-xs">▾</button>
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Portal>
+          <DropdownMenu.Content align="end" sideOffset={4} className="z-[60] min-w-[11rem] p-1 rounded-lg border border-slate-700 bg-slate-900 shadow-xl">
+            <DropdownMenu.Label className="px-3 py-1 text-xs text-slate-500">{t('persona.startWith')}</DropdownMenu.Label>
+            {personas.list.map(p => (
+              <DropdownMenu.Item key={p.id} className={menuItemClass} onSelect={() => onNew(p.id)}>
+                {p.name}{p.id === personas.defaultId && <span className="ms-1 text-xs text-slate-500">★</span>}
+              </DropdownMenu.Item>
+            ))}
+            <DropdownMenu.Separator className="my-1 h-px bg-slate-800" />
+            <DropdownMenu.Item className={menuItemClass} onSelect={onManagePersonas}>{t('persona.manage')}</DropdownMenu.Item>
+          </DropdownMenu.Content>
+        </DropdownMenu.Portal>
+      </DropdownMenu.Root>
+    </div>
+  )
+}
+
+// Header badge for the open conversation's persona; switching applies to later replies
+function PersonaMenu({ persona, personas, onSwitch, onManage }) {
+  return (
+    <DropdownMenu.Root>
+      <DropdownMenu.Trigger asChild>
+        <button title={t('persona.title')} className="max-w-[9rem] truncate px-2 py-0.5 rounded-full border border-slate-700 text-xs text-slate-300 hover:border-slate-500">
+          {persona.name}
+        </button>
+      </DropdownMenu.Trigger>
+      <DropdownMenu.Portal>
+        <DropdownMenu.Content align="start" sideOffset={4} className="z-[60] min-w-[11rem] p-1 rounded-lg border border-slate-700 bg-slate-900 shadow-xl">
+          <DropdownMenu.RadioGroup value={persona.id} onValueChange={onSwitch}>
+            {personas.list.map(p => (
+              <DropdownMenu.RadioItem key={p.id} value={p.id} className={`${menuItemClass} flex items-center gap-2`}>
+                <span className="w-3 text-xs"><DropdownMenu.ItemIndicator>✓</DropdownMenu.ItemIndicator></span>
+                {p.name}
+              </DropdownMenu.RadioItem>
+            ))}
+          </DropdownMenu.RadioGroup>
+          <DropdownMenu.Separator className="my-1 h-px bg-slate-800" />
+          <DropdownMenu.Item className={menuItemClass} onSelect={onManage}>{t('persona.manage')}</DropdownMenu.Item>
+        </DropdownMenu.Content>
+      </DropdownMenu.Portal>
+    </DropdownMenu.Root>
+  )
+}
+
+function AccountBar({ user, onSignOut }) {
   return (
-    <aside className="hidden md:flex md:flex-col w-72 border-r border-slate-800 bg-slate-950/40">
+    <div className="p-2 border-t border-slate-800 flex items-center gap-2 text-xs">
+      <span className="px-2 truncate text-slate-400" title={user?.email}>{user?.name || user?.email || t('account.signedIn')}</span>
+      <button onClick={onSignOut} className="ms-auto shrink-0 px-2 py-1 rounded text-slate-400 hover:text-slate-200 hover:bg-slate-800/60">{t('account.signOut')}</button>
+    </div>
+  )
+}
+
+function Sidebar({ onNew, onSearch, onExportAll, onImport, user, onSignOut, personas, onManagePersonas, ...listProps }) {
+  return (
+    <aside aria-label={t('sidebar.title')} className="hidden md:flex md:flex-col w-72 border-e border-slate-800 bg-slate-950/40 print:hidden">
       <div className="p-4 flex items-center gap-2 border-b border-slate-800">
-        <span className="text-lg font-semibold">Conversations</span>
-        <button onClick={onNew} className="ml-auto px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">New</button>
+        <span className="text-lg font-semibold">{t('sidebar.title')}</span>
+        <NewConversationButton personas={personas} onNew={onNew} onManagePersonas={onManagePersonas} />
+      </div>
+      <div className="px-2 pt-2">
+        <SearchButton onClick={onSearch} />
       </div>
       <div className="flex-1 overflow-y-auto">
-        {conversations.length === 0 ? (
-          <div className="p-4 text-slate-500 text-sm">No conversations yet</div>
-        ) : (
-          <ul className="p-2">
-            {conversations.map((c) => (
-              <li key={c.id}>
-                <button onClick={() => onSelect(c.id)}
-                        className={`w-full text-left px-3 py-2 rounded-lg hover:bg-slate-800/60 ${activeId === c.id ? 'bg-slate-800/80' : ''}`}>
-                  <div className="line-clamp-1 text-slate-100 text-sm">{c.title || 'Conversation'}</div>
-                  {c.last_message_at && (
-                    <div className="text-xs text-slate-500">{new Date(c.last_message_at).toLocaleString()}</div>
-                  )}
-                </button>
-              </li>
-            ))}
-          </ul>
-        )}
+        <ConversationList {...listProps} />
       </div>
+      <TransferActions onExportAll={onExportAll} onImport={onImport} />
+      <AccountBar user={user} onSignOut={onSignOut} />
     </aside>
   )
 }
 
-function MobileSidebar({ open, onClose, conversations, activeId, onSelect, onNew }) {
-  if (!open) return null
+// Drawer version of the sidebar for small screens. Radix traps focus while it is open,
+// closes on Escape or an outside click, and hands focus back to the ☰ button.
+function MobileSidebar({ open, onClose, onNew, onSearch, onExportAll, onImport, onSelect, user, onSignOut, personas, onManagePersonas, ...listProps }) {
   return (
-    <div className="md:hidden">
-      <div className="fixed inset-0 bg-black/50 z-40" onClick={onClose} />
-      <div className="fixed inset-y-0 left-0 w-72 bg-slate-950 border-r border-slate-800 z-50 flex flex-col">
-        <div className="p-3 flex items-center gap-2 border-b border-slate-800">
-          <span className="font-semibold">Conversations</span>
-          <button onClick={onNew} className="ml-auto px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">New</button>
-          <button onClick={onClose} className="ml-2 px-2 py-1 text-slate-400">✕</button>
-        </div>
-        <div className="flex-1 overflow-y-auto">
-          {conversations.length === 0 ? (
-            <div className="p-4 text-slate-500 text-sm">No conversations yet</div>
-          ) : (
-            <ul className="p-2">
-              {conversations.map((c) => (
-                <li key={c.id}>
-                  <button onClick={() => { onSelect(c.id); onClose() }}
-                          className={`w-full text-left px-3 py-2 rounded-lg hover:bg-slate-800/60 ${activeId === c.id ? 'bg-slate-800/80' : ''}`}>
-                    <div className="line-clamp-1 text-slate-100 text-sm">{c.title || 'Conversation'}</div>
-                    {c.last_message_at && (
-                      <div className="text-xs text-slate-500">{new Date(c.last_message_at).toLocaleString()}</div>
-                    )}
-                  </button>
-                </li>
-              ))}
-            </ul>
-          )}
-        </div>
-      </div>
-    </div>
+    <Dialog.Root open={open} onOpenChange={(next) => { if (!next) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="md:hidden print:hidden fixed inset-0 bg-black/50 z-40" />
+        <Dialog.Content aria-describedby={undefined} className="md:hidden print:hidden fixed inset-y-0 start-0 w-72 bg-slate-950 border-e border-slate-800 z-50 flex flex-col text-slate-100 outline-none">
+          <div className="p-3 flex items-center gap-2 border-b border-slate-800">
+            <Dialog.Title className="font-semibold">{t('sidebar.title')}</Dialog.Title>
+            <NewConversationButton personas={personas} onNew={onNew} onManagePersonas={() => { onClose(); onManagePersonas() }} />
+            <Dialog.Close aria-label={t('sidebar.close')} className="ms-2 px-2 py-1 text-slate-400 hover:text-slate-200">
+              <span aria-hidden="true">✕</span>
+            </Dialog.Close>
+          </div>
+          <div className="px-2 pt-2">
+            <SearchButton onClick={() => { onClose(); onSearch() }} />
+          </div>
+          <div className="flex-1 overflow-y-auto">
+            <ConversationList {...listProps} onSelect={(id) => { onSelect(id); onClose() }} />
+          </div>
+          <TransferActions onExportAll={onExportAll} onImport={onImport} />
+          <AccountBar user={user} onSignOut={onSignOut} />
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
   )
 }
 
@@ -97,60 +298,242 @@ export default function Chat() {
   const [activeId, setActiveId] = useState(null)
   const [messages, setMessages] = useState([])
   const [input, setInput] = useState('')
+  const [promptHistory, setPromptHistory] = useState(loadPromptHistory)
+  const [attachments, setAttachments] = useState([])
+  const [dragActive, setDragActive] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [streaming, setStreaming] = useState(false)
   const [voiceEnabled, setVoiceEnabled] = useState(true)
   const [listening, setListening] = useState(false)
+  const [conversationMode, setConversationMode] = useState(false)
+  const [voicePhase, setVoicePhaseState] = useState('idle') // idle | listening | thinking | speaking
   const [micPermission, setMicPermission] = useState('unknown') // unknown | granted | denied
   const [voiceStatus, setVoiceStatus] = useState('')
+  const [voiceSettings, setVoiceSettings] = useState(loadVoiceSettings)
+  const [voices, setVoices] = useState([])
+  const [voiceSettingsOpen, setVoiceSettingsOpen] = useState(false)
+  const [personas, setPersonas] = useState(loadPersonas)
+  const [personaDialogOpen, setPersonaDialogOpen] = useState(false)
+  const [snippets, setSnippets] = useState(loadSnippets)
+  const [snippetsOpen, setSnippetsOpen] = useState(false)
+  const [snippetIndex, setSnippetIndex] = useState(0)
+  const [snippetMenuClosed, setSnippetMenuClosed] = useState(false)
+  const [fillingSnippet, setFillingSnippet] = useState(null)
   const [mobileOpen, setMobileOpen] = useState(false)
   const [backendOK, setBackendOK] = useState(true)
-  const endRef = useRef(null)
+  const [notice, setNotice] = useState('')
+  const [summarizing, setSummarizing] = useState(false)
+  // `${conversation id}:${level}` of the context warning the reader closed
+  const [contextDismissed, setContextDismissed] = useState(null)
+  const [searchOpen, setSearchOpen] = useState(false)
+  const [shortcutsOpen, setShortcutsOpen] = useState(false)
+  const [appearanceOpen, setAppearanceOpen] = useState(false)
+  const [announcement, setAnnouncement] = useState('')
+  const [focusIndex, setFocusIndex] = useState(null)
+  const [notFoundId, setNotFoundId] = useState(null)
+  const session = useSession()
+  const locale = useLocale()
+  const [pageInfo, setPageInfo] = useState(NO_OLDER)
+  const [loadingOlder, setLoadingOlder] = useState(false)
+  const [awayFromBottom, setAwayFromBottom] = useState(false)
+  const [printing, setPrinting] = useState(false)
+  const { conversationId: routeId, messageIndex: routeMessage } = useParams()
+  const location = useLocation()
+  const navigate = useNavigate()
+  const routeReadyRef = useRef(false)
+  const mainRef = useRef(null)
+  const listRef = useRef(null)
+  const stickToBottomRef = useRef(true)
+  const scrollAnchorRef = useRef(null)
+  const loadingOlderRef = useRef(false)
   const recognitionRef = useRef(null)
+  const abortRef = useRef(null)
+  const activeIdRef = useRef(null)
   const voicesRef = useRef([])
+  const conversationModeRef = useRef(false)
+  const voicePhaseRef = useRef('idle')
+  const silenceTimerRef = useRef(null)
+  // Recognizer callbacks outlive renders, so they reach the latest handlers through refs
+  const speechHandlerRef = useRef(null)
+  const shortcutHandlerRef = useRef(null)
+  const tabMessageHandlerRef = useRef(null)
+  const mediaLostHandlerRef = useRef(null)
+  const composerRef = useRef(null)
+  // Position while stepping through promptHistory with ↑/↓, and the draft it replaced
+  const recallRef = useRef({ index: null, stash: '' })
+  const announcedOnlineRef = useRef(true)
+  const fileInputRef = useRef(null)
+  // Object URLs previewing attachments of sent messages, freed once no message shows them
+  const sentPreviewsRef = useRef(new Set())
+  const messagesRef = useRef(messages)
+  messagesRef.current = messages
+  const conversationsRef = useRef(conversations)
+  conversationsRef.current = conversations
+  const personasRef = useRef(personas)
+  personasRef.current = personas
+
+  const personaFor = (conversationId) =>
+    findPersona(personasRef.current.list, conversationsRef.current.find(c => c.id === conversationId)?.persona_id)
+  const activePersona = personaFor(activeId)
+  const contextLimit = contextLimitFor(activePersona)
+  const threadTokens = useMemo(
+    () => estimateThreadTokens(messages, { systemPrompt: activePersona.system_prompt, olderCount: pageInfo.offset }),
+    [messages, activePersona.system_prompt, pageInfo.offset]
+  )
+  const draftTokens = estimateTokens(input)
+  const contextState = contextLevel(threadTokens + draftTokens, contextLimit)
+  const activeConversation = conversations.find(c => c.id === activeId)
+
+  // Speech languages left unset follow the UI language
+  const speechSettings = useMemo(() => ({
+    ...voiceSettings,
+    lang: voiceSettings.lang || speechLang(locale),
+    recognitionLang: voiceSettings.recognitionLang || speechLang(locale),
+  }), [voiceSettings, locale])
 
   const recSupported = useMemo(() => typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition), [])
   const synthSupported = useMemo(() => typeof window !== 'undefined' && 'speechSynthesis' in window, [])
+  const speech = useSpeechPlayer({
+    supported: synthSupported,
+    configure: (utter) => configureUtterance(utter, voicesRef.current, activePersona.voiceURI ? { ...speechSettings, voiceURI: activePersona.voiceURI } : speechSettings)
+  })
+
+  // Only the bubbles near the viewport are mounted; heights are measured as they render
+  const virtualizer = useVirtualizer({
+    count: messages.length,
+    getScrollElement: () => mainRef.current,
+    estimateSize: () => ESTIMATED_MESSAGE_HEIGHT,
+    getItemKey: (i) => messageKey(messages[i]) ?? i,
+    scrollMargin: listRef.current?.offsetTop ?? 0,
+    overscan: 6,
+  })
+  const totalSize = virtualizer.getTotalSize()
+
+  const scrollToLatest = (behavior = 'auto') => {
+    const el = mainRef.current
+    if (el) el.scrollTo({ top: el.scrollHeight, behavior })
+  }
 
   useEffect(() => {
-    endRef.current?.scrollIntoView({ behavior: 'smooth' })
-  }, [messages, loading])
+    // Follow new content only while the reader is at the bottom
+    if (focusIndex !== null || !stickToBottomRef.current) return
+    const frame = requestAnimationFrame(() => scrollToLatest())
+    return () => cancelAnimationFrame(frame)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [messages, loading, totalSize])
+
+  useLayoutEffect(() => {
+    // Older messages were prepended: keep the same message under the reader's eyes
+    const anchor = scrollAnchorRef.current
+    const el = mainRef.current
+    if (!anchor || !el) return
+    scrollAnchorRef.current = null
+    el.scrollTop = anchor.top + (el.scrollHeight - anchor.height)
+  }, [messages])
+
+  useEffect(() => {
+    // Scroll a search hit or deep-linked message into view and flash it
+    if (focusIndex === null) return
+    const position = focusIndex - pageInfo.offset + (messages[0]?.greeting ? 1 : 0)
+    if (position < 0) {
+      // It lives in a page that is not loaded yet
+      if (pageInfo.cursor) loadOlder()
+      else setFocusIndex(null)
+      return
+    }
+    stickToBottomRef.current = false
+    virtualizer.scrollToIndex(Math.min(position, messages.length - 1), { align: 'center' })
+    const timer = setTimeout(() => setFocusIndex(null), FOCUS_HIGHLIGHT_MS)
+    return () => clearTimeout(timer)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusIndex, messages])
+
+  useEffect(() => {
+    // The virtualized list only holds what is on screen, so print renders every message
+    const before = () => flushSync(() => setPrinting(true))
+    const after = () => setPrinting(false)
+    window.addEventListener('beforeprint', before)
+    window.addEventListener('afterprint', after)
+    return () => {
+      window.removeEventListener('beforeprint', before)
+      window.removeEventListener('afterprint', after)
+    }
+  }, [])
+
+  useEffect(() => {
+    const onKeyDown = (e) => shortcutHandlerRef.current?.(e)
+    window.addEventListener('keydown', onKeyDown)
+    return () => window.removeEventListener('keydown', onKeyDown)
+  }, [])
+
+  useEffect(() => {
+    activeIdRef.current = activeId
+    // Playback belongs to a message of this thread (see messageKey), so switching stops it
+    speech.stop()
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeId])
 
   useEffect(() => {
     // Initialize: load conversations, or create a new one
     const init = async () => {
+      setBackendOK(await checkHealth())
+      // Tabs opened together would each find an empty list and create a conversation;
+      // the lock makes the later ones wait and pick up the first one's instead
+      await withTabLock('roger-startup', startup)
+      routeReadyRef.current = true
+    }
+    const startup = async () => {
       try {
-        const ping = await fetch(`${BACKEND_URL}/test`)
-        setBackendOK(ping.ok)
-      } catch {
-        setBackendOK(false)
-      }
-      try {
-        const res = await fetch(`${BACKEND_URL}/api/conversations`)
-        const data = await res.json()
-        setConversations(data)
-        if (data.length > 0) {
-          setActiveId(data[0].id)
-          await loadMessages(data[0].id)
+        // Straight from the server: a cached list could miss what other devices changed
+        const data = withoutProbeConversations(await api.get('/api/conversations', { cache: 'no-store' }))
+        const list = await saveConversations(data).catch(() => data)
+        setConversations(list)
+        if (routeId) {
+          await showConversation(routeId, messageIndexParam(routeMessage), list)
+        } else if (list.length > 0) {
+          activate(list[0].id, { replace: true })
+          await loadMessages(list[0].id)
         } else {
           const created = await createConversation()
-          setActiveId(created.id)
+          activate(created.id, { replace: true })
           await loadMessages(created.id)
         }
       } catch (e) {
-        // fallback to ephemeral single session
-        setActiveId('default')
-        setMessages([{ role: 'assistant', content: "Hi! I'm Roger. How can I help today?" }])
+        // Backend unreachable: keep working from the local copy
+        setBackendOK(false)
+        const cached = await getConversations().catch(() => [])
+        setConversations(cached)
+        if (routeId) {
+          await showConversation(routeId, messageIndexParam(routeMessage), cached)
+        } else if (cached.length > 0) {
+          activate(cached[0].id, { replace: true })
+          await loadMessages(cached[0].id)
+        } else {
+          const local = await createLocalConversation()
+          activate(local.id, { replace: true })
+          showMessages([])
+        }
       }
     }
     init()
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [])
 
+  useEffect(() => {
+    // Back/forward and pasted links: follow the URL once the initial load is done
+    if (!routeReadyRef.current || !routeId) return
+    const messageIndex = messageIndexParam(routeMessage)
+    if (routeId !== activeIdRef.current || notFoundId) showConversation(routeId, messageIndex)
+    else if (messageIndex !== null) setFocusIndex(messageIndex)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [location.key])
+
   useEffect(() => {
     // Preload speech synthesis voices (important for Safari/Chrome)
     if (!synthSupported) return
     const loadVoices = () => {
       voicesRef.current = window.speechSynthesis.getVoices()
+      setVoices(voicesRef.current)
     }
     loadVoices()
     window.speechSynthesis.onvoiceschanged = loadVoices
@@ -171,98 +554,830 @@ export default function Chat() {
     checkPermission()
   }, [])
 
-  const createConversation = async (title) => {
-    const res = await fetch(`${BACKEND_URL}/api/conversations`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ title })
+  useEffect(() => {
+    saveVoiceSettings(voiceSettings)
+  }, [voiceSettings])
+
+  useEffect(() => {
+    savePersonas(personas)
+  }, [personas])
+
+  useEffect(() => {
+    saveSnippets(snippets)
+  }, [snippets])
+
+  // A sent message loses its previews when the server's copy replaces it or its
+  // conversation is closed
+  useEffect(() => {
+    const shown = new Set(messages.flatMap(m => m.attachments || []).map(a => a.url))
+    sentPreviewsRef.current.forEach(url => {
+      if (shown.has(url)) return
+      URL.revokeObjectURL(url)
+      sentPreviewsRef.current.delete(url)
     })
-    const data = await res.json()
+  }, [messages])
+
+  useEffect(() => () => sentPreviewsRef.current.forEach(url => URL.revokeObjectURL(url)), [])
+
+  // Each conversation keeps its own unsent text
+  useEffect(() => {
+    recallRef.current.index = null
+    setFillingSnippet(null)
+    setInput(loadDraft(activeId))
+  }, [activeId])
+
+  useEffect(() => {
+    saveDraft(activeId, input)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [input])
+
+  // Grow with the text up to the textarea's max height, then scroll
+  useLayoutEffect(() => {
+    const el = composerRef.current
+    if (!el) return
+    el.style.height = 'auto'
+    el.style.height = `${el.scrollHeight}px`
+  }, [input])
+
+  useEffect(() => {
+    // Health check against /test: slow while connected, faster while offline so
+    // StatusDot recovers soon after the backend does. Coming back replays the queue.
+    if (backendOK) syncQueue()
+    const check = async () => setBackendOK(await checkHealth())
+    const goOffline = () => setBackendOK(false)
+    const timer = setInterval(check, backendOK ? HEALTH_INTERVAL : RECONNECT_INTERVAL)
+    window.addEventListener('online', check)
+    window.addEventListener('offline', goOffline)
+    return () => {
+      clearInterval(timer)
+      window.removeEventListener('online', check)
+      window.removeEventListener('offline', goOffline)
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [backendOK])
+
+  // Background Sync wakes this tab when the browser is back online
+  useEffect(() => onQueueSyncRequest(async () => {
+    await syncQueue()
+    return (await getQueue()).length === 0
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }), [])
+
+  useEffect(() => onBroadcast((message) => tabMessageHandlerRef.current?.(message)), [])
+  useEffect(() => onMediaLost(() => mediaLostHandlerRef.current?.()), [])
+
+  // Hand the microphone and speech synthesis back once nothing here is using them, so
+  // replies sent from another tab can be read aloud there
+  useEffect(() => {
+    if (!listening && !conversationMode && speech.state.status === 'idle') releaseMedia()
+  }, [listening, conversationMode, speech.state.status])
+
+  // StatusDot is only a color, so connection changes are also announced
+  useEffect(() => {
+    if (announcedOnlineRef.current === backendOK) return
+    announcedOnlineRef.current = backendOK
+    announce(backendOK ? t('status.connectionRestored') : t('status.connectionLost'))
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [backendOK])
+
+  const refreshConversations = async () => {
+    try {
+      const data = withoutProbeConversations(await api.get('/api/conversations'))
+      const list = await saveConversations(data).catch(() => data)
+      setConversations(list)
+      broadcast('conversations', { list })
+    } catch {}
+  }
+
+  const syncQueue = async () => {
+    try {
+      const touched = await flushQueue({
+        onRemap: (localId, created) => {
+          setConversations(prev => prev.map(c => c.id === localId ? { ...c, ...created } : c))
+          broadcast('conversation', { conversation: created, replaces: localId })
+          moveDraft(localId, created.id)
+          if (activeIdRef.current === localId) activate(created.id, { replace: true })
+        }
+      })
+      if (touched.length === 0) return
+      touched.forEach(conversationId => broadcast('thread', { conversationId }))
+      await refreshConversations()
+      const current = activeIdRef.current
+      if (touched.includes(current)) await loadMessages(current)
+    } catch (e) {
+      if (e instanceof NetworkError || e instanceof TimeoutError) setBackendOK(false)
+    }
+  }
+
+  const createLocalConversation = async (title, personaId = personas.defaultId) => {
+    const local = { id: newLocalId(), title: title || t('conversation.untitled'), persona_id: personaId, last_message_at: new Date().toISOString() }
+    await putConversation(local).catch(() => {})
+    setConversations(prev => [local, ...prev])
+    broadcast('conversation', { conversation: local })
+    return local
+  }
+
+  // `links` are extra conversation fields, e.g. { continued_from } for a summarized continuation
+  const createConversation = async (title, seed, personaId = personas.defaultId, links = {}) => {
+    const persona = findPersona(personas.list, personaId)
+    const body = { title, persona_id: persona.id, ...links, ...(persona.system_prompt.trim() ? { system_prompt: persona.system_prompt.trim() } : {}) }
+    let data
+    try {
+      data = await api.post('/api/conversations', seed ? { ...body, messages: seed } : body)
+    } catch {
+      // Create it locally; the sync queue registers it with the server later
+      return createLocalConversation(title, persona.id)
+    }
+    const entry = { id: data.id, title: data.title, persona_id: data.persona_id ?? persona.id, last_message_at: data.last_message_at, ...links }
+    putConversation(entry).catch(() => {})
     // Prepend to list
-    setConversations(prev => [{ id: data.id, title: data.title, last_message_at: data.last_message_at }, ...prev])
+    setConversations(prev => [entry, ...prev])
+    broadcast('conversation', { conversation: entry })
     return data
   }
 
-  const loadMessages = async (conversationId) => {
+  // One page of messages, newest first when `cursor` is null. A plain array response is
+  // the whole thread; a paginated one looks like { messages, next_cursor, total }.
+  const fetchMessagePage = async (conversationId, cursor = null) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE })
+    if (cursor) params.set('before', cursor)
+    const data = await api.get(`/api/conversations/${conversationId}/messages?${params}`)
+    if (Array.isArray(data)) return { messages: data, cursor: null, total: data.length }
+    return { messages: data?.messages ?? [], cursor: data?.next_cursor ?? null, total: data?.total ?? null }
+  }
+
+  // Whole thread: server copy when reachable (mirrored locally, plus any still-queued messages), else the local copy
+  const fetchMessages = async (conversationId) => {
+    if (!isLocalId(conversationId)) {
+      try {
+        let page = await fetchMessagePage(conversationId)
+        let all = page.messages
+        while (page.cursor) {
+          page = await fetchMessagePage(conversationId, page.cursor)
+          all = [...page.messages, ...all]
+        }
+        return await replaceMessages(conversationId, all).then(() => getMessages(conversationId)).catch(() => all)
+      } catch {}
+    }
+    return getMessages(conversationId).catch(() => [])
+  }
+
+  // Put a thread on screen, scrolled to the latest message
+  const showMessages = (list, info = NO_OLDER) => {
+    stickToBottomRef.current = true
+    setAwayFromBottom(false)
+    setPageInfo(info)
+    setMessages(list.length > 0 ? withMessageIds(list) : [greetingFor(personaFor(activeIdRef.current))])
+  }
+
+  // Latest page of a conversation; older pages load as the reader scrolls up.
+  // `all` loads the whole thread (printing needs every message on the page).
+  const loadMessages = async (conversationId, { all = false } = {}) => {
+    if (all || isLocalId(conversationId)) {
+      const list = await fetchMessages(conversationId)
+      if (activeIdRef.current === conversationId) showMessages(list)
+      return
+    }
+    let list
+    let info = NO_OLDER
     try {
-      const res = await fetch(`${BACKEND_URL}/api/conversations/${conversationId}/messages`)
-      const data = await res.json()
-      if (Array.isArray(data) && data.length > 0) {
-        setMessages(data)
+      const page = await fetchMessagePage(conversationId)
+      if (page.cursor) {
+        // Only complete threads are mirrored locally; unsent messages still go last
+        const pending = await getMessages(conversationId).then(l => l.filter(m => m.pending)).catch(() => [])
+        list = [...page.messages, ...pending]
+        info = { cursor: page.cursor, offset: page.total !== null ? Math.max(0, page.total - page.messages.length) : 0 }
       } else {
-        setMessages([{ role: 'assistant', content: "Hi! I'm Roger. How can I help today?" }])
+        list = await replaceMessages(conversationId, page.messages).then(() => getMessages(conversationId)).catch(() => page.messages)
       }
-    } catch (e) {
-      setMessages([{ role: 'assistant', content: "Hi! I'm Roger. How can I help today?" }])
+    } catch {
+      list = await getMessages(conversationId).catch(() => [])
+    }
+    if (activeIdRef.current === conversationId) showMessages(list, info)
+  }
+
+  const loadOlder = async () => {
+    const conversationId = activeId
+    const { cursor } = pageInfo
+    if (!cursor || loadingOlderRef.current) return
+    loadingOlderRef.current = true
+    setLoadingOlder(true)
+    try {
+      const page = await fetchMessagePage(conversationId, cursor)
+      if (activeIdRef.current !== conversationId) return
+      const el = mainRef.current
+      scrollAnchorRef.current = el ? { top: el.scrollTop, height: el.scrollHeight } : null
+      setPageInfo(info => ({ cursor: page.cursor, offset: page.cursor ? Math.max(0, info.offset - page.messages.length) : 0 }))
+      setMessages(prev => [...withMessageIds(page.messages), ...prev])
+    } catch {
+      setNotice(t('errors.loadOlder'))
+    } finally {
+      loadingOlderRef.current = false
+      setLoadingOlder(false)
     }
   }
 
-  const selectConversation = async (id) => {
-    if (id === activeId) return
+  // Messages before `index` in the loaded window, fetching pages that are not loaded yet
+  const historyBefore = async (index) => {
+    if (!pageInfo.cursor) return messages.slice(0, index)
+    const full = withMessageIds(await fetchMessages(activeId))
+    return full.slice(0, full.length - messages.length + index)
+  }
+
+  const handleScroll = () => {
+    const el = mainRef.current
+    if (!el) return
+    const nearBottom = el.scrollHeight - el.scrollTop - el.clientHeight < NEAR_BOTTOM_PX
+    stickToBottomRef.current = nearBottom
+    setAwayFromBottom(!nearBottom)
+    if (el.scrollTop < LOAD_OLDER_THRESHOLD_PX) loadOlder()
+  }
+
+  const jumpToLatest = () => {
+    stickToBottomRef.current = true
+    setAwayFromBottom(false)
+    scrollToLatest('smooth')
+  }
+
+  // Make `id` the open thread and point the URL at it
+  const activate = (id, { replace = false } = {}) => {
+    activeIdRef.current = id
     setActiveId(id)
-    await loadMessages(id)
+    setNotFoundId(null)
+    const path = conversationPath(id)
+    if (window.location.pathname !== path) navigate(path, { replace })
+  }
+
+  // Unknown to the list: ask the server before declaring it missing
+  const conversationExists = async (id) => {
+    if (isLocalId(id)) return false
+    try {
+      await api.get(`/api/conversations/${encodeURIComponent(id)}/messages`, { retries: 0 })
+      return true
+    } catch (e) {
+      return !(e instanceof HttpError && (e.status === 404 || e.status === 422))
+    }
   }
 
-  const newConversation = async () => {
-    const created = await createConversation()
-    setActiveId(created.id)
-    setMessages([{ role: 'assistant', content: 'New chat started. I\'m Roger — what would you like to discuss?' }])
+  // Open the conversation named by the URL, or show the not-found state
+  const showConversation = async (id, messageIndex = null, list = conversations) => {
+    if (id !== activeIdRef.current || notFoundId) {
+      if (!list.some(c => c.id === id) && !(await conversationExists(id))) {
+        activeIdRef.current = null
+        setActiveId(null)
+        setNotFoundId(id)
+        setPageInfo(NO_OLDER)
+        setMessages([])
+        return
+      }
+      activeIdRef.current = id
+      setActiveId(id)
+      setNotFoundId(null)
+      await loadMessages(id)
+    }
+    if (messageIndex !== null) setFocusIndex(messageIndex)
   }
 
-  const sendMessage = async () => {
-    const text = input.trim()
-    if (!text || loading) return
+  // Switching threads goes through the router so back/forward can replay it
+  const selectConversation = (id) => {
+    if (id === activeId && !notFoundId) return
+    navigate(conversationPath(id))
+  }
 
-    const next = [...messages, { role: 'user', content: text }]
-    setMessages(next)
-    setInput('')
+  const openSearchResult = (result) => {
+    navigate(conversationPath(result.conversation_id, result.message_index))
+  }
+
+  const newConversation = async (personaId) => {
+    const created = await createConversation(undefined, undefined, personaId)
+    activate(created.id)
+    showMessages([greetingFor(findPersona(personas.list, personaId ?? personas.defaultId))])
+  }
+
+  // Optimistically apply title/pinned/archived changes, rolling back if the server rejects them
+  const updateConversation = async (id, changes) => {
+    const previous = conversations
+    const updated = previous.map(c => c.id === id ? { ...c, ...changes } : c)
+    setConversations(updated)
+    const entry = updated.find(c => c.id === id)
+    try {
+      if (!isLocalId(id)) await api.patch(`/api/conversations/${id}`, changes)
+      if (entry) {
+        putConversation(entry).catch(() => {})
+        broadcast('conversation', { conversation: entry })
+      }
+    } catch {
+      setConversations(previous)
+      setNotice(t('errors.updateConversation'))
+    }
+  }
+
+  const deleteConversation = async (id) => {
+    const previous = conversations
+    const index = previous.findIndex(c => c.id === id)
+    const remaining = previous.filter(c => c.id !== id)
+    setConversations(remaining)
+    const wasActive = id === activeId
+    const next = remaining.find(c => !c.archived)
+    if (wasActive && next) {
+      activate(next.id, { replace: true })
+      loadMessages(next.id)
+    }
+    // With nothing left to show, a fresh conversation starts only once the delete went
+    // through and only if this one is still open: starting it creates it on the server
+    const deleted = () => {
+      deleteDraft(id)
+      deleteLocalConversation(id).catch(() => {})
+      broadcast('conversation-deleted', { id })
+      if (wasActive && !next && activeIdRef.current === id) newConversation()
+    }
+    try {
+      if (!isLocalId(id)) await api.delete(`/api/conversations/${id}`)
+      deleted()
+    } catch (e) {
+      // Already gone on the server
+      if (e?.status === 404) {
+        deleted()
+        return
+      }
+      // Back where it was: before the first conversation that followed it
+      const followers = new Set(previous.slice(index + 1).map(c => c.id))
+      setConversations(prev => {
+        const rest = prev.filter(c => c.id !== id)
+        const at = rest.findIndex(c => followers.has(c.id))
+        return at === -1 ? [...rest, previous[index]] : [...rest.slice(0, at), previous[index], ...rest.slice(at)]
+      })
+      setNotice(t('errors.deleteConversation'))
+    }
+  }
+
+  // POST /api/ask and hand the reply to placeReply(text, started) as it streams in
+  const requestReply = async (conversationId, payload, placeReply, files) => {
     setLoading(true)
+    const controller = new AbortController()
+    abortRef.current = controller
+    let replyText = ''
+    let replyKey
 
     try {
-      const res = await fetch(`${BACKEND_URL}/api/ask`, {
+      const res = await request('/api/ask', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ message: text, conversation_id: activeId || 'default' })
+        ...askRequestInit({ ...payload, conversation_id: conversationId, stream: true }, files),
+        timeout: ASK_TIMEOUT,
+        signal: controller.signal,
+        raw: true
       })
-      if (!res.ok) throw new Error(`Request failed: ${res.status}`)
-      const data = await res.json()
-      const reply = { role: 'assistant', content: data.reply }
-      setMessages(prev => [...prev, reply])
+      if (isStreamResponse(res)) {
+        await readTextStream(res, (chunk) => {
+          const started = replyText !== ''
+          replyText += chunk
+          setStreaming(true)
+          replyKey = placeReply(replyText, started) ?? replyKey
+        })
+      } else {
+        const data = await res.json()
+        replyText = data.reply
+        replyKey = placeReply(replyText, false)
+      }
       // refresh conversation list timestamps
-      try {
-        const listRes = await fetch(`${BACKEND_URL}/api/conversations`)
-        const list = await listRes.json()
-        setConversations(list)
-      } catch {}
-      if (voiceEnabled) speakText(reply.content)
+      await refreshConversations()
+      announce(t('chat.replyAnnouncement', { name: personaFor(conversationId).name, text: toSpeakableText(replyText) }))
+      // Only the tab that owns speech synthesis reads replies aloud
+      if (conversationModeRef.current || (voiceEnabled && await claimFreeMedia())) speakText(replyText, replyKey)
+      return { status: 'ok', text: replyText, key: replyKey }
     } catch (e) {
-      setMessages(prev => [...prev, { role: 'assistant', content: 'Sorry, I could not reach the server. Please check your connection and try again.' }])
-      setBackendOK(false)
+      // Stopped by the user: keep whatever text already arrived
+      if (e?.name === 'AbortError') return { status: 'aborted', text: replyText }
+      if (replyText) return { status: 'partial', text: replyText }
+      if (e instanceof NetworkError) {
+        setBackendOK(false)
+        return { status: 'unreachable', text: '', error: e }
+      }
+      // Timeouts and HTTP errors: the server is up, so let the user retry this one
+      return { status: 'failed', text: '', error: e }
     } finally {
+      if (abortRef.current === controller) abortRef.current = null
       setLoading(false)
+      setStreaming(false)
     }
   }
 
+  // Grow a new assistant bubble at the end of the thread
+  const appendReply = (text, started) => {
+    const clientId = started ? undefined : newLocalId()
+    setMessages(prev => started
+      ? [...prev.slice(0, -1), { ...prev[prev.length - 1], content: text }]
+      : [...prev, { role: 'assistant', content: text, client_id: clientId }])
+    return clientId
+  }
+
+  // Write a regenerated reply as a new alternate of the last assistant message.
+  // Alternates are session-only: the server keeps just the reply last generated, and the
+  // local mirror takes the server's copy whenever the thread reloads, so they are not stored.
+  const appendAlternate = (text, started) => {
+    setMessages(prev => {
+      const last = prev[prev.length - 1]
+      const alternates = started ? last.alternates.slice(0, -1) : (last.alternates || [last.content])
+      const next = [...alternates, text]
+      return [...prev.slice(0, -1), { ...last, content: text, alternates: next, alternateIndex: next.length - 1 }]
+    })
+    return messageKey(messagesRef.current[messagesRef.current.length - 1])
+  }
+
+  // Send text as a new user turn. `history` replaces the visible thread first (used by edits);
+  // `source` tells typed from spoken messages apart in the usage analytics.
+  const submit = async (text, { conversationId = activeId || 'default', history, extra, attachments: sent = [], source = 'typed' } = {}) => {
+    const userMessage = { role: 'user', content: text, client_id: newLocalId() }
+    const askExtra = { ...personaPayload(personaFor(conversationId)), ...extra }
+    stickToBottomRef.current = true
+    if (sent.length > 0) userMessage.attachments = sent.map(attachmentMeta)
+    sent.forEach(a => { if (a.url) sentPreviewsRef.current.add(a.url) })
+    const files = sent.map(a => ({ name: a.name, blob: a.file }))
+
+    if (!backendOK || isLocalId(conversationId)) {
+      if (history) setMessages(history)
+      recordMessage({ source, status: 'queued' })
+      await queueMessage(conversationId, userMessage, askExtra, files)
+      if (backendOK) syncQueue()
+      return
+    }
+
+    setMessages(prev => [...(history ?? prev), userMessage])
+    const started = performance.now()
+    const result = await requestReply(conversationId, { message: text, ...askExtra }, appendReply, files)
+    recordMessage({ source, status: result.status, ms: result.status === 'ok' ? Math.round(performance.now() - started) : null })
+    if (result.status === 'ok') {
+      const stored = userMessage.attachments ? { ...userMessage, attachments: storableAttachments(userMessage.attachments) } : userMessage
+      const exchange = [stored, { role: 'assistant', content: result.text, client_id: result.key }]
+      addMessages(conversationId, exchange).catch(() => {})
+      // Edits drop later turns, which the other tabs can only pick up by reloading
+      if (extra?.replace_from !== undefined) broadcast('thread', { conversationId })
+      else broadcast('messages', { conversationId, messages: exchange })
+    } else if (result.status === 'unreachable') {
+      // Network failure: hold the message and send it once we reconnect
+      setMessages(prev => prev.filter(m => m !== userMessage))
+      await queueMessage(conversationId, userMessage, askExtra, files)
+    } else if (result.status === 'failed') {
+      const failed = { ...userMessage, failed: true, error: describeError(result.error), retry: { extra, attachments: sent } }
+      setMessages(prev => prev.map(m => m === userMessage ? failed : m))
+    }
+  }
+
+  // Rate a reply (optionally with a comment). The rating is kept on the message and
+  // sent to the backend; a failed post is reported but the local rating stays. A `draft`
+  // rating is only shown while its comment is still being written.
+  const sendFeedback = async (index, storedIndex, rating, comment, { draft = false } = {}) => {
+    const message = messages[index]
+    const feedback = { rating, comment }
+    // Also called as a bubble unmounts, after older pages shifted the list or another
+    // thread replaced it, so the message is found by key rather than by position
+    const conversationId = activeId
+    const key = messageKey(message)
+    setMessages(prev => activeIdRef.current === conversationId ? prev.map(m => messageKey(m) === key ? { ...m, feedback } : m) : prev)
+    if (message.client_id) updateMessage(message.client_id, { feedback }).catch(() => {})
+    if (draft) return
+    recordFeedback({ message: `${activeId}:${storedIndex}`, rating, comment })
+    try {
+      await api.post('/api/feedback', {
+        conversation_id: activeId,
+        message_index: storedIndex,
+        message_id: message.id ?? message._id,
+        alternate_index: message.alternateIndex,
+        rating,
+        comment: comment || undefined,
+        persona: activePersona.name,
+      })
+    } catch {
+      setNotice(t('errors.feedback'))
+    }
+  }
+
+  // Resend a message whose request failed, with the same options and attachments
+  const retryMessage = (index) => {
+    const message = messages[index]
+    if (!message?.failed || loading) return
+    setMessages(prev => prev.filter((_, i) => i !== index))
+    submit(message.content, message.retry)
+  }
+
+  const exportConversations = async (list, format) => {
+    const entries = []
+    for (const conversation of list) {
+      const msgs = conversation.id === activeId && !pageInfo.cursor ? messages : await fetchMessages(conversation.id)
+      entries.push({ conversation, messages: msgs })
+    }
+    const name = list.length === 1 ? list[0].title : 'roger-conversations'
+    if (format === 'markdown') download(exportFilename(name, 'md'), toMarkdown(entries), 'text/markdown')
+    else download(exportFilename(name, 'json'), toJSON(entries), 'application/json')
+  }
+
+  const exportConversation = async (conversation, format) => {
+    if (format !== 'print') {
+      await exportConversations([conversation], format)
+      return
+    }
+    // Printing uses the on-screen thread with the print stylesheet, so open all of it first
+    if (conversation.id !== activeId || pageInfo.cursor) {
+      activate(conversation.id)
+      await loadMessages(conversation.id, { all: true })
+    }
+    setTimeout(() => window.print(), 100)
+  }
+
+  const importConversations = async (file) => {
+    let imported
+    try {
+      imported = parseImport(await file.text())
+    } catch (e) {
+      setNotice(t('transfer.importFailed', { error: e.message }))
+      return
+    }
+    let first = null
+    for (const { title, messages: seed } of imported) {
+      const created = await createConversation(title, seed)
+      await addMessages(created.id, seed).catch(() => {})
+      first = first || created
+    }
+    if (first) {
+      activate(first.id)
+      showMessages(imported[0].messages)
+    }
+  }
+
+  const sendMessage = async () => {
+    const text = input.trim()
+    if ((!text && attachments.length === 0) || loading) return
+    const sent = attachments
+    if (text) setPromptHistory(addToPromptHistory(promptHistory, text))
+    recallRef.current.index = null
+    setInput('')
+    setAttachments([])
+    await submit(text, { attachments: sent })
+  }
+
+  const addFiles = (fileList) => {
+    const { accepted, errors } = validateFiles([...fileList], attachments.length)
+    if (accepted.length > 0) setAttachments(prev => [...prev, ...accepted.map(makeAttachment)])
+    if (errors.length > 0) setNotice(t('attachments.someFailed', { errors: errors.join('; ') }))
+  }
+
+  const removeAttachment = (id) => {
+    setAttachments(prev => prev.filter(a => {
+      if (a.id === id && a.url) URL.revokeObjectURL(a.url)
+      return a.id !== id
+    }))
+  }
+
+  const handlePaste = (e) => {
+    const files = [...(e.clipboardData?.files || [])]
+    if (files.length === 0) return
+    e.preventDefault()
+    addFiles(files)
+  }
+
+  const dragHasFiles = (e) => [...(e.dataTransfer?.types || [])].includes('Files')
+
+  const dropHandlers = {
+    onDragOver: (e) => {
+      if (!dragHasFiles(e)) return
+      e.preventDefault()
+      setDragActive(true)
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setDragActive(false)
+    },
+    onDrop: (e) => {
+      if (!dragHasFiles(e)) return
+      e.preventDefault()
+      setDragActive(false)
+      addFiles(e.dataTransfer.files)
+    }
+  }
+
+  const regenerate = async () => {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user')
+    if (!lastUser || loading) return
+    const result = await requestReply(activeId, { message: lastUser.content, regenerate: true, ...personaPayload(activePersona) }, appendAlternate)
+    if (result.status === 'failed' || result.status === 'unreachable') {
+      setNotice(t('errors.regenerate', { reason: describeError(result.error) }))
+    } else {
+      broadcast('thread', { conversationId: activeId })
+    }
+  }
+
+  const showAlternate = (index, alternateIndex) => {
+    setMessages(prev => prev.map((m, i) => i === index ? { ...m, alternateIndex, content: m.alternates[alternateIndex] } : m))
+  }
+
+  // New conversation seeded with the given history (greeting and unsent messages left out)
+  const branchConversation = async (history) => {
+    const source = conversations.find(c => c.id === activeId)
+    const seed = history.filter(m => !m.greeting && !m.pending).map(({ role, content }) => ({ role, content }))
+    const created = await createConversation(t('conversation.branchTitle', { title: source?.title || t('conversation.untitled') }), seed, source?.persona_id)
+    addMessages(created.id, seed).catch(() => {})
+    const thread = withMessageIds(seed)
+    activate(created.id)
+    showMessages(thread)
+    return { id: created.id, history: thread }
+  }
+
+  // Ask the server to condense everything before the latest exchange into one summary
+  // message, then carry it and that exchange into a new conversation linked to this one
+  const summarizeAndContinue = async () => {
+    if (loading || summarizing || !backendOK || isLocalId(activeId)) return
+    const sourceId = activeId
+    const source = conversations.find(c => c.id === sourceId)
+    setSummarizing(true)
+    try {
+      const data = await api.post(`/api/conversations/${sourceId}/summarize`, { keep_last: KEEP_AFTER_SUMMARY, ...personaPayload(activePersona) })
+      if (!data?.summary) throw new Error('Empty summary')
+      const kept = messages.filter(m => !m.greeting && !m.pending && !m.failed).slice(-KEEP_AFTER_SUMMARY).map(({ role, content }) => ({ role, content }))
+      const seed = [{ role: 'assistant', content: data.summary, summary: true }, ...kept]
+      const created = await createConversation(t('context.continuedTitle', { title: source?.title || t('conversation.untitled') }), seed, source?.persona_id, { continued_from: sourceId })
+      addMessages(created.id, seed).catch(() => {})
+      // The list was just changed by createConversation, so link the source without
+      // going through updateConversation's snapshot of it
+      setConversations(prev => prev.map(c => c.id === sourceId ? { ...c, continued_in: created.id } : c))
+      if (source) {
+        putConversation({ ...source, continued_in: created.id }).catch(() => {})
+        broadcast('conversation', { conversation: { ...source, continued_in: created.id } })
+      }
+      if (!isLocalId(created.id)) api.patch(`/api/conversations/${sourceId}`, { continued_in: created.id }).catch(() => {})
+      activate(created.id)
+      showMessages(seed)
+      announce(t('context.continued'))
+    } catch (error) {
+      setNotice(t('errors.summarize', { reason: describeError(error) }))
+    } finally {
+      setSummarizing(false)
+    }
+  }
+
+  const branchFrom = async (index) => {
+    if (loading) return
+    branchConversation(await historyBefore(index + 1))
+  }
+
+  // Resubmit an edited user message, either replacing the later turns or in a fresh branch
+  const editMessage = async (index, text, mode) => {
+    if (loading) return
+    const history = messages.slice(0, index)
+    if (mode === 'branch') {
+      const branch = await branchConversation(await historyBefore(index))
+      await submit(text, { conversationId: branch.id, history: branch.history })
+    } else {
+      const storedIndex = pageInfo.offset + history.filter(m => !m.greeting).length
+      await submit(text, { history, extra: { replace_from: storedIndex } })
+    }
+  }
+
+  const queueMessage = async (conversationId, message, extra, files = []) => {
+    const pending = { ...message, pending: true, client_id: newLocalId() }
+    setMessages(prev => [...prev, pending])
+    try {
+      const stored = message.attachments ? { ...pending, attachments: storableAttachments(message.attachments) } : pending
+      await addMessages(conversationId, [stored])
+      broadcast('messages', { conversationId, messages: [stored] })
+      // Files are Blobs, which IndexedDB stores as-is for the replay
+      await enqueue({ conversation_id: conversationId, message: message.content, extra, files, client_id: pending.client_id })
+      requestQueueSync()
+    } catch {}
+  }
+
+  const stopGenerating = () => {
+    abortRef.current?.abort()
+  }
+
+  const slashQuery = fillingSnippet || snippetMenuClosed ? undefined : input.match(SLASH_QUERY)?.[1]
+  const snippetMatches = slashQuery === undefined ? null : matchSnippets(snippets, slashQuery)
+  // The last menu entry, after the matches, is "Manage snippets"
+  const activeSnippetIndex = snippetMatches ? Math.min(snippetIndex, snippetMatches.length) : -1
+
+  const editComposer = (text) => {
+    recallRef.current.index = null
+    setSnippetIndex(0)
+    setSnippetMenuClosed(false)
+    setInput(text)
+  }
+
+  // Programmatic changes put the caret after the text, as if it had been typed
+  const replaceComposerText = (text) => {
+    setInput(text)
+    requestAnimationFrame(() => {
+      const el = composerRef.current
+      el?.focus()
+      el?.setSelectionRange(text.length, text.length)
+    })
+  }
+
+  const pickSnippet = (snippet) => {
+    const placeholders = placeholdersIn(snippet.text)
+    if (placeholders.length > 0) setFillingSnippet({ snippet, placeholders })
+    else replaceComposerText(snippet.text)
+  }
+
+  const insertFilledSnippet = (values) => {
+    const { snippet } = fillingSnippet
+    setFillingSnippet(null)
+    replaceComposerText(fillSnippet(snippet.text, values))
+  }
+
+  const cancelSnippetFill = () => {
+    setFillingSnippet(null)
+    composerRef.current?.focus()
+  }
+
+  const manageSnippets = () => {
+    setSnippetMenuClosed(true)
+    setSnippetsOpen(true)
+  }
+
+  // Shell-style recall: step back through sent prompts, then forward to the stashed draft
+  const recallPrompt = (step) => {
+    const recall = recallRef.current
+    const from = recall.index ?? promptHistory.length
+    const next = from + step
+    if (next < 0 || next > promptHistory.length || next === from) return false
+    if (recall.index === null) recall.stash = input
+    recall.index = next === promptHistory.length ? null : next
+    replaceComposerText(recall.index === null ? recall.stash : promptHistory[next])
+    return true
+  }
+
   const handleKey = (e) => {
+    if (snippetMatches) {
+      const count = snippetMatches.length + 1
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        setSnippetIndex((activeSnippetIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count)
+        return
+      }
+      // With nothing matching, Enter still sends "/text" as typed
+      if (e.key === 'Tab' || (e.key === 'Enter' && !e.shiftKey && (snippetMatches.length > 0 || activeSnippetIndex > 0))) {
+        e.preventDefault()
+        if (activeSnippetIndex === snippetMatches.length) manageSnippets()
+        else pickSnippet(snippetMatches[activeSnippetIndex])
+        return
+      }
+      if (e.key === 'Escape' && !e.shiftKey) {
+        e.preventDefault()
+        setSnippetMenuClosed(true)
+        return
+      }
+    }
+    if ((e.key === 'ArrowUp' || e.key === 'ArrowDown') && !e.altKey && !e.shiftKey && !e.ctrlKey && !e.metaKey) {
+      // Only from the first (↑) or last (↓) line, so moving within a multi-line prompt still works
+      const el = e.currentTarget
+      const atEdge = e.key === 'ArrowUp'
+        ? !input.slice(0, el.selectionStart).includes('\n')
+        : !input.slice(el.selectionEnd).includes('\n')
+      if (atEdge && recallPrompt(e.key === 'ArrowUp' ? -1 : 1)) {
+        e.preventDefault()
+        return
+      }
+    }
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault()
       sendMessage()
     }
   }
 
-  // Voice: Speech Synthesis
-  const speakText = (text) => {
+  const setVoicePhase = (phase) => {
+    voicePhaseRef.current = phase
+    setVoicePhaseState(phase)
+  }
+
+  // Voice: Speech Synthesis. `key` identifies the message being read (defaults to the latest).
+  const speakText = (text, key = messageKey(messagesRef.current[messagesRef.current.length - 1])) => {
     if (!synthSupported) return
-    const utter = new SpeechSynthesisUtterance(text)
-    const preferred = voicesRef.current.find(v => /en-US|en_GB/i.test(v.lang) && /Female|Google|Natural|Roger/i.test(v.name)) || voicesRef.current[0]
-    if (preferred) utter.voice = preferred
-    utter.rate = 1
-    utter.pitch = 1
-    utter.volume = 1
-    try {
-      window.speechSynthesis.cancel()
-      window.speechSynthesis.speak(utter)
-    } catch {}
+    claimMedia()
+    let onEnd
+    if (conversationModeRef.current) {
+      // Resume listening once Roger finishes (or is interrupted)
+      onEnd = () => {
+        if (conversationModeRef.current && voicePhaseRef.current === 'speaking') {
+          setVoicePhase('listening')
+          armSilenceTimer()
+        }
+      }
+      setVoicePhase('speaking')
+    }
+    speech.play(key, text, { onEnd })
+  }
+
+  const controlSpeech = (key, content, action, arg) => {
+    if (action === 'pause') speech.pause()
+    else if (action === 'resume') {
+      claimMedia()
+      speech.resume()
+    }
+    else if (action === 'stop') speech.stop()
+    else if (action === 'skip') speech.skip(arg)
+    else if (action === 'seek') {
+      claimMedia()
+      if (speech.state.key === key) speech.seek(arg)
+      else speech.play(key, content, { from: arg })
+    }
   }
 
   // Request explicit mic permission
@@ -274,148 +1389,561 @@ export default function Chat() {
       return true
     } catch (err) {
       setMicPermission('denied')
-      setVoiceStatus('Microphone permission blocked. Please allow access in your browser settings.')
+      setVoiceStatus(t('voice.micBlocked'))
       return false
     }
   }
 
-  // Voice: Speech Recognition (browser-provided)
-  const toggleListening = async () => {
-    if (!recSupported) {
-      setVoiceStatus('Speech recognition is not supported in this browser.')
+  const armSilenceTimer = () => {
+    clearTimeout(silenceTimerRef.current)
+    silenceTimerRef.current = setTimeout(() => {
+      if (!conversationModeRef.current) return
+      // Only silence while we're waiting on the user counts
+      if (voicePhaseRef.current === 'listening') endConversationMode(t('voice.silenceEnded'))
+      else armSilenceTimer()
+    }, SILENCE_TIMEOUT_MS)
+  }
+
+  const endConversationMode = (status = '') => {
+    conversationModeRef.current = false
+    setConversationMode(false)
+    clearTimeout(silenceTimerRef.current)
+    setVoicePhase('idle')
+    try { recognitionRef.current?.stop() } catch {}
+    speech.stop()
+    setListening(false)
+    setVoiceStatus(status)
+  }
+
+  useEffect(() => () => clearTimeout(silenceTimerRef.current), [])
+
+  speechHandlerRef.current = (transcript, isFinal) => {
+    const text = transcript.trim()
+    if (!conversationModeRef.current) {
+      setInput(transcript)
+      if (isFinal) {
+        try { recognitionRef.current?.stop() } catch {}
+        setListening(false)
+        setVoiceStatus('')
+        // Auto-send the final transcript
+        if (text && !loading) {
+          setInput('')
+          submit(text, { source: 'voice' })
+        }
+      }
       return
     }
 
-    if (!recognitionRef.current) {
-      const SR = window.SpeechRecognition || window.webkitSpeechRecognition
-      const rec = new SR()
-      rec.lang = 'en-US'
-      rec.interimResults = true
-      rec.continuous = true
-
-      rec.onresult = (event) => {
-        let transcript = ''
-        let hasFinal = false
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const res = event.results[i]
-          transcript += res[0].transcript
-          if (res.isFinal) hasFinal = true
-        }
-        setInput(transcript)
-        if (hasFinal) {
-          try { recognitionRef.current?.stop() } catch {}
-          setListening(false)
-          setVoiceStatus('')
-          // Auto-send the final transcript
-          setTimeout(() => {
-            if (transcript.trim()) {
-              setInput(transcript.trim())
-              sendMessage()
-            }
-          }, 0)
-        }
+    armSilenceTimer()
+    if (voicePhaseRef.current === 'speaking' && text) {
+      // Barge-in: the user started talking over Roger
+      setVoicePhase('listening')
+      speech.stop()
+    }
+    if (voicePhaseRef.current === 'thinking') return
+    setInput(transcript)
+    if (isFinal && text) {
+      setInput('')
+      setVoicePhase('thinking')
+      submit(text, { source: 'voice' }).finally(() => {
+        // No reply was spoken (failed, queued offline or synthesis unavailable)
+        if (conversationModeRef.current && voicePhaseRef.current === 'thinking') setVoicePhase('listening')
+      })
+    }
+  }
+
+  const getRecognizer = () => {
+    if (recognitionRef.current) return recognitionRef.current
+    const SR = window.SpeechRecognition || window.webkitSpeechRecognition
+    const rec = new SR()
+    rec.lang = speechSettings.recognitionLang
+    rec.interimResults = true
+    rec.continuous = true
+
+    rec.onresult = (event) => {
+      let transcript = ''
+      let hasFinal = false
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const res = event.results[i]
+        transcript += res[0].transcript
+        if (res.isFinal) hasFinal = true
       }
-      rec.onend = () => {
-        // If ended without final result, just stop the UI state
-        setListening(false)
+      speechHandlerRef.current?.(transcript, hasFinal)
+    }
+    rec.onend = () => {
+      // Browsers end continuous sessions on their own; keep going in conversation mode
+      if (conversationModeRef.current) {
+        try { rec.start() } catch {}
+        return
       }
-      rec.onerror = (e) => {
-        setListening(false)
-        setVoiceStatus(e?.error === 'not-allowed' ? 'Microphone permission denied.' : 'Speech recognition error. Try again.')
+      // If ended without final result, just stop the UI state
+      setListening(false)
+    }
+    rec.onerror = (e) => {
+      if (conversationModeRef.current && !FATAL_RECOGNITION_ERRORS.includes(e?.error)) return
+      if (conversationModeRef.current) {
+        endConversationMode(t('voice.micDenied'))
+        return
       }
-      recognitionRef.current = rec
+      setListening(false)
+      setVoiceStatus(e?.error === 'not-allowed' ? t('voice.micDenied') : t('voice.recognitionError'))
+    }
+    recognitionRef.current = rec
+    return rec
+  }
+
+  // Voice: Speech Recognition (browser-provided)
+  const toggleListening = async () => {
+    if (!recSupported) {
+      setVoiceStatus(t('voice.unsupported'))
+      return
+    }
+
+    if (conversationModeRef.current) {
+      endConversationMode()
+      return
     }
 
+    const rec = getRecognizer()
+
     if (listening) {
-      try { recognitionRef.current.stop() } catch {}
+      try { rec.stop() } catch {}
       setListening(false)
       return
     }
 
     const ok = await ensureMicPermission()
     if (!ok) return
+    await claimMedia()
 
     try {
-      recognitionRef.current.start()
-      setVoiceStatus('Listening... Speak now')
+      rec.lang = speechSettings.recognitionLang
+      rec.start()
+      setVoiceStatus(t('voice.listening'))
       setListening(true)
     } catch (e) {
       setListening(false)
-      setVoiceStatus('Could not start speech recognition. Make sure only one tab is listening.')
+      setVoiceStatus(t('voice.startFailed'))
+    }
+  }
+
+  // Screen readers pick up text written to the polite live region below
+  const announce = (text) => setAnnouncement(text)
+
+  // Step through conversations in sidebar order (pinned first, archived skipped)
+  const stepConversation = (delta) => {
+    const order = orderConversations(conversations)
+    if (order.length === 0) return
+    const index = order.findIndex(c => c.id === activeId)
+    const next = order[index === -1 ? 0 : Math.min(order.length - 1, Math.max(0, index + delta))]
+    if (next && next.id !== activeId) selectConversation(next.id)
+  }
+
+  shortcutHandlerRef.current = (e) => {
+    const shortcut = matchShortcut(e)
+    if (!shortcut) return
+    // Other dialogs keep their own keys; only search and help toggle over them
+    const dialogOpen = searchOpen || shortcutsOpen || appearanceOpen || voiceSettingsOpen || personaDialogOpen || snippetsOpen || mobileOpen
+    if (dialogOpen && shortcut !== 'search' && !(shortcut === 'help' && shortcutsOpen)) return
+    e.preventDefault()
+    switch (shortcut) {
+      case 'search': setSearchOpen(open => !open); break
+      case 'new': newConversation(); break
+      case 'previous': stepConversation(-1); break
+      case 'next': stepConversation(1); break
+      case 'composer': composerRef.current?.focus(); break
+      case 'mic': toggleListening(); break
+      case 'help': setShortcutsOpen(open => !open); break
+      default:
+    }
+  }
+
+  // Changes made in other tabs (see lib/tabs)
+  tabMessageHandlerRef.current = (message) => {
+    switch (message.type) {
+      case 'conversations':
+        setConversations(message.list)
+        break
+      case 'conversation': {
+        const { conversation, replaces } = message
+        const id = replaces ?? conversation.id
+        setConversations(prev => prev.some(c => c.id === id)
+          ? prev.map(c => c.id === id ? { ...c, ...conversation } : c)
+          : [conversation, ...prev])
+        if (replaces && activeIdRef.current === replaces) activate(conversation.id, { replace: true })
+        break
+      }
+      case 'conversation-deleted': {
+        const remaining = conversationsRef.current.filter(c => c.id !== message.id)
+        setConversations(remaining)
+        if (activeIdRef.current !== message.id) break
+        // Follow the deleting tab to the next conversation rather than creating another one
+        const next = remaining.find(c => !c.archived)
+        if (next) {
+          activate(next.id, { replace: true })
+          loadMessages(next.id)
+        } else {
+          activeIdRef.current = null
+          showConversation(message.id, null, remaining)
+        }
+        break
+      }
+      case 'messages':
+        if (message.conversationId !== activeIdRef.current) break
+        setMessages(prev => {
+          const known = new Set(prev.map(m => m.client_id).filter(Boolean))
+          const added = message.messages.filter(m => !known.has(m.client_id))
+          return added.length > 0 ? [...prev, ...withMessageIds(added)] : prev
+        })
+        break
+      case 'thread':
+        if (message.conversationId === activeIdRef.current && !loading) loadMessages(message.conversationId)
+        break
+      default:
+    }
+  }
+
+  // Another tab took the microphone and speech synthesis
+  mediaLostHandlerRef.current = () => {
+    const inUse = listening || conversationModeRef.current || speech.state.status !== 'idle'
+    if (conversationModeRef.current) {
+      endConversationMode(t('tabs.voiceMoved'))
+      return
+    }
+    if (listening) {
+      try { recognitionRef.current?.stop() } catch {}
+      setListening(false)
+    }
+    speech.stop()
+    if (inUse) setVoiceStatus(t('tabs.voiceMoved'))
+  }
+
+  // Hands-free loop: listen → send → speak the reply → listen again
+  const startConversationMode = async () => {
+    if (!recSupported) {
+      setVoiceStatus(t('voice.unsupported'))
+      return
     }
+    const ok = await ensureMicPermission()
+    if (!ok) return
+    await claimMedia()
+
+    const rec = getRecognizer()
+    conversationModeRef.current = true
+    setConversationMode(true)
+    setVoicePhase('listening')
+    armSilenceTimer()
+    if (!listening) {
+      try {
+        rec.lang = speechSettings.recognitionLang
+        rec.start()
+      } catch {
+        endConversationMode(t('voice.startFailed'))
+        return
+      }
+    }
+    setListening(true)
+    setVoiceStatus(t('voice.conversationModeOn'))
+  }
+
+  const renderMessage = (m, i) => {
+    // Search results and edits count stored messages, which never include the greeting
+    const storedIndex = pageInfo.offset + (messages[0]?.greeting ? i - 1 : i)
+    const key = messageKey(m)
+    return (
+      <MessageBubble
+        index={storedIndex}
+        highlighted={focusIndex === storedIndex}
+        role={m.role}
+        content={m.content}
+        attachments={m.attachments}
+        pending={m.pending}
+        failed={m.failed}
+        error={m.error}
+        greeting={m.greeting}
+        summary={m.summary}
+        alternates={m.alternates}
+        alternateIndex={m.alternateIndex}
+        feedback={m.feedback}
+        busy={loading}
+        canRegenerate={backendOK && !isLocalId(activeId) && i === messages.length - 1 && m.role === 'assistant' && messages.some(x => x.role === 'user')}
+        voiceEnabled={voiceEnabled && synthSupported}
+        onSpeak={() => speakText(m.content, key)}
+        speech={speech.state.key === key ? speech.state : null}
+        onSpeechControl={(action, arg) => controlSpeech(key, m.content, action, arg)}
+        onRegenerate={regenerate}
+        onShowAlternate={(alt) => showAlternate(i, alt)}
+        onEdit={(text, mode) => editMessage(i, text, mode)}
+        onBranch={() => branchFrom(i)}
+        onRetry={() => retryMessage(i)}
+        onFeedback={backendOK && !isLocalId(activeId) ? (rating, comment, options) => sendFeedback(i, storedIndex, rating, comment, options) : undefined}
+      />
+    )
   }
 
   return (
-    <div className="relative min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100">
-      <div className="absolute inset-0 bg-[radial-gradient(circle_at_20%_-10%,rgba(59,130,246,0.25),transparent_35%),radial-gradient(circle_at_80%_-10%,rgba(168,85,247,0.25),transparent_35%)]" />
+    <div className="relative min-h-screen bg-gradient-to-br from-slate-950 via-slate-900 to-slate-950 text-slate-100 print:bg-none print:bg-white print:text-black print:min-h-0">
+      <a href="#composer" onClick={(e) => { e.preventDefault(); composerRef.current?.focus() }} className="sr-only focus:not-sr-only focus:fixed focus:top-2 focus:start-2 focus:z-[90] focus:px-3 focus:py-2 focus:rounded-lg focus:bg-blue-600 focus:text-white">
+        {t('chat.skipToComposer')}
+      </a>
+      <div aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
+      <div className="absolute inset-0 print:hidden bg-[radial-gradient(circle_at_20%_-10%,rgba(59,130,246,0.25),transparent_35%),radial-gradient(circle_at_80%_-10%,rgba(168,85,247,0.25),transparent_35%)]" />
 
-      <div className="relative h-screen flex">
-        <Sidebar conversations={conversations} activeId={activeId} onSelect={selectConversation} onNew={newConversation} />
-        <MobileSidebar open={mobileOpen} onClose={() => setMobileOpen(false)} conversations={conversations} activeId={activeId} onSelect={selectConversation} onNew={newConversation} />
+      <div className="relative h-screen flex print:h-auto print:block" {...dropHandlers}>
+        {dragActive && (
+          <div className="pointer-events-none fixed inset-0 z-[90] flex items-center justify-center bg-blue-950/60 border-2 border-dashed border-blue-400 text-blue-100 text-lg">
+            {t('attachments.drop')}
+          </div>
+        )}
+        <Sidebar conversations={conversations} activeId={activeId} onSelect={selectConversation} onNew={newConversation} onSearch={() => setSearchOpen(true)} onUpdate={updateConversation} onExport={exportConversation} onExportAll={(format) => exportConversations(conversations, format)} onImport={importConversations} onDelete={deleteConversation} user={session?.user} onSignOut={signOut} personas={personas} onManagePersonas={() => setPersonaDialogOpen(true)} />
+        <VoiceSettingsDialog
+          open={voiceSettingsOpen}
+          onOpenChange={setVoiceSettingsOpen}
+          voices={voices}
+          settings={voiceSettings}
+          onChange={setVoiceSettings}
+          onPreview={() => speakText(t('voice.preview'), 'preview')}
+          synthSupported={synthSupported}
+          recSupported={recSupported}
+        />
+        <PersonaDialog
+          open={personaDialogOpen}
+          onOpenChange={setPersonaDialogOpen}
+          personas={personas}
+          onChange={setPersonas}
+          voices={voices}
+        />
+        <SnippetsDialog
+          open={snippetsOpen}
+          onOpenChange={setSnippetsOpen}
+          snippets={snippets}
+          onChange={setSnippets}
+        />
+        <SearchPalette open={searchOpen} onOpenChange={setSearchOpen} online={backendOK} conversations={conversations} onPick={openSearchResult} />
+        <ShortcutsDialog open={shortcutsOpen} onOpenChange={setShortcutsOpen} />
+        <AppearanceDialog open={appearanceOpen} onOpenChange={setAppearanceOpen} />
+        <MobileSidebar open={mobileOpen} onClose={() => setMobileOpen(false)} conversations={conversations} activeId={activeId} onSelect={selectConversation} onNew={newConversation} onSearch={() => setSearchOpen(true)} onUpdate={updateConversation} onExport={exportConversation} onExportAll={(format) => exportConversations(conversations, format)} onImport={importConversations} onDelete={deleteConversation} user={session?.user} onSignOut={signOut} personas={personas} onManagePersonas={() => setPersonaDialogOpen(true)} />
 
-        <div className="flex-1 h-full flex flex-col px-3 sm:px-6 lg:px-8">
-          <header className="py-4 sm:py-6 flex items-center gap-3">
-            <button className="md:hidden -ml-1 mr-1 px-3 py-2 rounded-lg border border-slate-700 text-slate-300" onClick={() => setMobileOpen(true)}>☰</button>
-            <img src="/flame-icon.svg" alt="logo" className="w-7 h-7 sm:w-8 sm:h-8" />
+        <div className="flex-1 h-full flex flex-col px-3 sm:px-6 lg:px-8 print:h-auto print:block">
+          <header className="py-4 sm:py-6 flex items-center gap-3 print:hidden">
+            <button aria-label={t('sidebar.open')} aria-haspopup="dialog" aria-expanded={mobileOpen} className="md:hidden -ms-1 me-1 px-3 py-2 rounded-lg border border-slate-700 text-slate-300" onClick={() => setMobileOpen(true)}>
+              <span aria-hidden="true">☰</span>
+            </button>
+            <img src="/flame-icon.svg" alt="" className="w-7 h-7 sm:w-8 sm:h-8" />
             <h1 className="text-lg sm:text-xl font-semibold tracking-tight">Roger</h1>
-            <div className="ml-auto flex items-center gap-2 sm:gap-3 text-xs sm:text-sm text-slate-400">
+            {activeId && (
+              <PersonaMenu
+                persona={activePersona}
+                personas={personas}
+                onSwitch={(personaId) => updateConversation(activeId, { persona_id: personaId })}
+                onManage={() => setPersonaDialogOpen(true)}
+              />
+            )}
+            <div className="ms-auto flex items-center gap-2 sm:gap-3 text-xs sm:text-sm text-slate-400">
               <StatusDot ok={backendOK} />
+              {conversationMode && <VoicePhaseIndicator phase={voicePhase} onStop={() => endConversationMode()} />}
+              <button aria-label={t('shortcuts.title')} aria-keyshortcuts="?" title={t('shortcuts.title')} onClick={() => setShortcutsOpen(true)} className="hidden sm:inline px-1.5 py-1 rounded hover:text-slate-200">?</button>
+              <button aria-label={t('appearance.title')} title={t('appearance.title')} onClick={() => setAppearanceOpen(true)} className="px-1.5 py-1 rounded hover:text-slate-200">
+                <span aria-hidden="true">◐</span>
+              </button>
+              {(recSupported || synthSupported) && (
+                <button aria-label={t('voice.settings')} title={t('voice.settings')} onClick={() => setVoiceSettingsOpen(true)} className="px-1.5 py-1 rounded hover:text-slate-200">⚙</button>
+              )}
               {recSupported ? (
                 <>
                   <label className="hidden sm:flex items-center gap-2 cursor-pointer select-none">
-                    <input type="checkbox" checked={voiceEnabled} onChange={(e) => setVoiceEnabled(e.target.checked)} />
-                    Voice
+                    <input type="checkbox" checked={voiceEnabled} onChange={(e) => setVoiceEnabled(e.target.checked)} aria-label={t('voice.readRepliesAloud')} />
+                    {t('voice.toggle')}
                   </label>
-                  <button onClick={toggleListening} className={`px-2 py-1 rounded border ${listening ? 'border-red-400 text-red-300' : 'border-slate-600 hover:border-slate-400'}`}>{listening ? 'Stop' : 'Speak'}</button>
+                  <button onClick={toggleListening} aria-pressed={listening} aria-label={t('voice.microphone')} aria-keyshortcuts={ariaKeys('mic')} className={`px-2 py-1 rounded border ${listening ? 'border-red-400 text-red-300' : 'border-slate-600 hover:border-slate-400'}`}>{listening ? t('voice.stop') : t('voice.speak')}</button>
+                  {!conversationMode && (
+                    <button onClick={startConversationMode} title={t('voice.talkTitle')} className="px-2 py-1 rounded border border-slate-600 hover:border-slate-400">{t('voice.talk')}</button>
+                  )}
                 </>
               ) : (
-                <span className="text-slate-500">Voice not supported</span>
+                <span className="text-slate-500">{t('voice.notSupported')}</span>
               )}
             </div>
           </header>
 
+          {/* Shown for as long as StatusDot is amber; the change itself is announced separately */}
+          {!backendOK && (
+            <div className="mx-3 sm:mx-6 lg:mx-8 -mt-2 sm:-mt-3 mb-2 flex items-center gap-2 px-3 py-2 rounded-lg border border-amber-400/30 bg-amber-400/10 text-xs text-amber-200 print:hidden">
+              <StatusDot ok={false} />
+              <span>{navigator.onLine ? t('offline.serverUnreachable') : t('offline.deviceOffline')}</span>
+            </div>
+          )}
           {voiceStatus && (
-            <div className="mx-3 sm:mx-6 lg:mx-8 -mt-2 sm:-mt-3 mb-2 text-xs text-amber-300">{voiceStatus}</div>
+            <div role="status" className="mx-3 sm:mx-6 lg:mx-8 -mt-2 sm:-mt-3 mb-2 text-xs text-amber-300 print:hidden">{voiceStatus}</div>
+          )}
+          {notice && (
+            <div className="mx-3 sm:mx-6 lg:mx-8 -mt-2 sm:-mt-3 mb-2 flex items-center gap-2 text-xs text-red-300 print:hidden">
+              <span role="alert">{notice}</span>
+              <button onClick={() => setNotice('')} className="text-slate-400 hover:text-slate-200">{t('common.dismiss')}</button>
+            </div>
           )}
 
-          <main className="flex-1 overflow-y-auto space-y-3 sm:space-y-4 pb-[calc(110px+env(safe-area-inset-bottom))] sm:pb-32">
-            {messages.map((m, i) => (
-              <MessageBubble key={i} role={m.role} content={m.content} voiceEnabled={voiceEnabled && synthSupported} onSpeak={() => speakText(m.content)} />
-            ))}
-            {loading && (
-              <div className="flex gap-2 items-center text-slate-400 pl-1">
+          <main ref={mainRef} onScroll={handleScroll} aria-label={t('chat.messages')} className="flex-1 overflow-y-auto pb-[calc(110px+env(safe-area-inset-bottom))] sm:pb-32 print:overflow-visible print:pb-0">
+            <h1 className="hidden print:block text-2xl font-semibold mb-4">{conversations.find(c => c.id === activeId)?.title || t('conversation.untitled')}</h1>
+            {notFoundId && (
+              <ConversationNotFound
+                onNew={() => newConversation()}
+                onLatest={() => selectConversation(conversations.find(c => !c.archived)?.id)}
+                canGoLatest={conversations.some(c => !c.archived)}
+              />
+            )}
+            {!pageInfo.cursor && activeConversation?.continued_from && (
+              <ContinuationLink
+                label="context.continuedFrom"
+                conversation={conversations.find(c => c.id === activeConversation.continued_from)}
+                onOpen={() => selectConversation(activeConversation.continued_from)}
+              />
+            )}
+            {pageInfo.cursor && (
+              <div className="flex justify-center py-2 text-xs text-slate-500 print:hidden">
+                {loadingOlder
+                  ? t('chat.loadingOlder')
+                  : <button onClick={loadOlder} className="hover:text-slate-300">{t('chat.loadOlder')}</button>}
+              </div>
+            )}
+            {printing ? (
+              messages.map((m, i) => (
+                <div key={messageKey(m) ?? i} className="pb-message">{renderMessage(m, i)}</div>
+              ))
+            ) : (
+              <div ref={listRef} className="relative w-full" style={{ height: totalSize }}>
+                {virtualizer.getVirtualItems().map(item => (
+                  <div
+                    key={item.key}
+                    data-index={item.index}
+                    ref={virtualizer.measureElement}
+                    className="absolute top-0 start-0 w-full pb-message"
+                    style={{ transform: `translateY(${item.start - virtualizer.options.scrollMargin}px)` }}
+                  >
+                    {renderMessage(messages[item.index], item.index)}
+                  </div>
+                ))}
+              </div>
+            )}
+            {loading && !streaming && (
+              <div className="flex gap-2 items-center text-slate-400 ps-1">
                 <span className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '0ms' }} />
                 <span className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '150ms' }} />
                 <span className="w-2 h-2 bg-slate-400 rounded-full animate-bounce" style={{ animationDelay: '300ms' }} />
               </div>
             )}
-            <div ref={endRef} />
+            {activeConversation?.continued_in && (
+              <ContinuationLink
+                label="context.continuedIn"
+                conversation={conversations.find(c => c.id === activeConversation.continued_in)}
+                onOpen={() => selectConversation(activeConversation.continued_in)}
+              />
+            )}
           </main>
 
-          <footer className="fixed bottom-0 left-0 right-0 md:left-72">
+          <footer className={`fixed bottom-0 inset-x-0 md:start-72 print:hidden ${notFoundId ? 'hidden' : ''}`}>
             <div className="max-w-4xl mx-auto px-3 sm:px-6 lg:px-8 pb-[calc(env(safe-area-inset-bottom)+16px)] sm:pb-6">
-              <div className="bg-slate-900/70 backdrop-blur border border-slate-700 rounded-2xl p-2 sm:p-3 shadow-xl">
+              {awayFromBottom && (
+                <div className="flex justify-center mb-2">
+                  <button onClick={jumpToLatest} aria-label={t('chat.jumpToLatestLabel')} className="px-3 py-1 rounded-full border border-slate-600 bg-slate-900/90 text-xs text-slate-300 hover:text-slate-100 shadow-lg">
+                    <span aria-hidden="true">↓</span> {t('chat.jumpToLatest')}
+                  </button>
+                </div>
+              )}
+              {contextState !== 'ok' && contextDismissed !== `${activeId}:${contextState}` && !activeConversation?.continued_in && (
+                <div role="status" className={`mb-2 flex flex-wrap items-center gap-2 px-3 py-2 rounded-lg border text-xs ${contextState === 'over' ? 'border-red-400/30 bg-red-500/10 text-red-200' : 'border-amber-400/30 bg-amber-400/10 text-amber-200'}`}>
+                  <span className="flex-1 min-w-0">
+                    {t(contextState === 'over' ? 'context.over' : 'context.near', { used: new Intl.NumberFormat(getLocale()).format(threadTokens + draftTokens), limit: new Intl.NumberFormat(getLocale()).format(contextLimit) })}
+                  </span>
+                  {backendOK && !isLocalId(activeId) && (
+                    <button onClick={summarizeAndContinue} disabled={loading || summarizing} className="px-2 py-1 rounded border border-current hover:bg-white/5 disabled:opacity-50">
+                      {summarizing ? t('context.summarizing') : t('context.summarize')}
+                    </button>
+                  )}
+                  <button onClick={() => setContextDismissed(`${activeId}:${contextState}`)} className="text-slate-400 hover:text-slate-200">{t('common.dismiss')}</button>
+                </div>
+              )}
+              <div className="relative bg-slate-900/70 backdrop-blur border border-slate-700 focus-within:border-blue-500/70 rounded-2xl p-2 sm:p-3 shadow-xl">
+                {snippetMatches && (
+                  <SnippetMenu
+                    id={SNIPPET_MENU_ID}
+                    snippets={snippetMatches}
+                    activeIndex={activeSnippetIndex}
+                    onHover={setSnippetIndex}
+                    onPick={pickSnippet}
+                    onManage={manageSnippets}
+                  />
+                )}
+                {fillingSnippet && (
+                  <SnippetFill
+                    key={fillingSnippet.snippet.id}
+                    snippet={fillingSnippet.snippet}
+                    placeholders={fillingSnippet.placeholders}
+                    onInsert={insertFilledSnippet}
+                    onCancel={cancelSnippetFill}
+                  />
+                )}
+                {attachments.length > 0 && (
+                  <div className="flex flex-wrap gap-2 px-2 pt-1">
+                    {attachments.map(a => <AttachmentChip key={a.id} attachment={a} onRemove={() => removeAttachment(a.id)} />)}
+                  </div>
+                )}
                 <textarea
+                  id="composer"
+                  ref={composerRef}
+                  aria-label={t('chat.composerLabel')}
+                  aria-keyshortcuts={ariaKeys('composer')}
+                  aria-autocomplete="list"
+                  aria-controls={snippetMatches ? SNIPPET_MENU_ID : undefined}
+                  aria-expanded={Boolean(snippetMatches)}
+                  aria-activedescendant={snippetMatches ? snippetOptionId(SNIPPET_MENU_ID, activeSnippetIndex) : undefined}
                   value={input}
-                  onChange={(e) => setInput(e.target.value)}
+                  onChange={(e) => editComposer(e.target.value)}
                   onKeyDown={handleKey}
+                  onPaste={handlePaste}
+                  onBlur={() => setSnippetMenuClosed(true)}
                   rows={1}
-                  placeholder="Ask Roger anything..."
-                  className="w-full resize-none bg-transparent outline-none text-slate-100 placeholder-slate-500 p-3 text-[15px] sm:text-base"
+                  placeholder={t('chat.placeholder')}
+                  className="w-full max-h-48 resize-none bg-transparent outline-none focus-visible:ring-0 text-slate-100 placeholder-slate-500 p-3 text-[15px] sm:text-base"
                 />
                 <div className="flex justify-between items-center px-2 pb-1">
-                  <div className="text-[11px] sm:text-xs text-slate-500">Shift+Enter for new line</div>
+                  <div className="flex flex-wrap gap-x-3 text-[0.6875rem] sm:text-xs text-slate-500">
+                    <span>{t('chat.composerHint')}</span>
+                    <ContextMeter draft={draftTokens} thread={threadTokens} limit={contextLimit} level={contextState} />
+                  </div>
                   <div className="flex items-center gap-2">
+                    <button aria-label={t('attachments.attach')} title={t('attachments.attach')} onClick={() => fileInputRef.current?.click()} className="px-3 py-2 rounded-lg border border-slate-600 hover:border-slate-400">📎</button>
+                    <input
+                      ref={fileInputRef}
+                      type="file"
+                      multiple
+                      accept={ACCEPT}
+                      className="hidden"
+                      onChange={(e) => {
+                        addFiles(e.target.files || [])
+                        e.target.value = ''
+                      }}
+                    />
                     {recSupported && (
-                      <button onClick={toggleListening} className={`px-3 py-2 rounded-lg border ${listening ? 'border-red-400 text-red-300' : 'border-slate-600 hover:border-slate-400'}`}>{listening ? 'Stop' : '🎙️ Speak'}</button>
+                      <button onClick={toggleListening} aria-pressed={listening} aria-label={t('voice.microphone')} aria-keyshortcuts={ariaKeys('mic')} className={`px-3 py-2 rounded-lg border ${listening ? 'border-red-400 text-red-300' : 'border-slate-600 hover:border-slate-400'}`}>{listening ? t('voice.stop') : <><span aria-hidden="true">🎙️</span> {t('voice.speak')}</>}</button>
+                    )}
+                    {loading ? (
+                      <button
+                        onClick={stopGenerating}
+                        aria-label={t('chat.stopGenerating')}
+                        className="px-4 py-2 rounded-lg border border-red-400 text-red-300 hover:bg-red-500/10 transition-colors"
+                      >
+                        {t('chat.stop')}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={sendMessage}
+                        disabled={!input.trim() && attachments.length === 0}
+                        className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                      >
+                        {t('chat.send')}
+                      </button>
                     )}
-                    <button
-                      onClick={sendMessage}
-                      disabled={loading || !input.trim()}
-                      className="px-4 py-2 rounded-lg bg-blue-600 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                    >
-                      Send
-                    </button>
                   </div>
                 </div>
               </div>
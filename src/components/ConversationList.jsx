@@ -0,0 +1,181 @@
+import { useEffect, useRef, useState } from 'react'
+import * as DropdownMenu from '@radix-ui/react-dropdown-menu'
+import * as Dialog from '@radix-ui/react-dialog'
+import { formatFullDate, formatTimestamp, t } from '../lib/i18n'
+
+const menuItemClass = 'px-3 py-1.5 rounded-md text-sm text-slate-200 outline-none cursor-pointer data-[highlighted]:bg-slate-800'
+
+function RenameInput({ initial, onSave, onCancel }) {
+  const [value, setValue] = useState(initial)
+  const inputRef = useRef(null)
+
+  useEffect(() => {
+    inputRef.current?.focus()
+    inputRef.current?.select()
+  }, [])
+
+  const commit = () => {
+    const title = value.trim()
+    if (title && title !== initial) onSave(title)
+    else onCancel()
+  }
+
+  return (
+    <input
+      ref={inputRef}
+      value={value}
+      onChange={(e) => setValue(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') { e.preventDefault(); commit() }
+        if (e.key === 'Escape') { e.preventDefault(); onCancel() }
+      }}
+      className="w-full px-3 py-2 rounded-lg bg-slate-900 border border-blue-500 outline-none text-sm text-slate-100"
+    />
+  )
+}
+
+function ConversationItem({ conversation: c, active, renaming, onSelect, onStartRename, onRename, onCancelRename, onUpdate, onExport, onRequestDelete }) {
+  const keepFocusRef = useRef(false)
+
+  if (renaming) {
+    return <RenameInput initial={c.title || t('conversation.untitled')} onSave={(title) => onRename(c.id, title)} onCancel={onCancelRename} />
+  }
+
+  return (
+    <div className={`group flex items-center rounded-lg hover:bg-slate-800/60 ${active ? 'bg-slate-800/80' : ''}`}>
+      <button onClick={() => onSelect(c.id)} aria-current={active ? 'page' : undefined} className="flex-1 min-w-0 text-start px-3 py-2">
+        <div className="flex items-center gap-1.5">
+          {c.pinned && <span className="text-[0.6875rem]" title={t('sidebar.pinned')} role="img" aria-label={t('sidebar.pinned')}>📌</span>}
+          <span className={`line-clamp-1 text-sm ${c.archived ? 'text-slate-400' : 'text-slate-100'}`}>{c.title || t('conversation.untitled')}</span>
+        </div>
+        {c.last_message_at && (
+          <time dateTime={c.last_message_at} title={formatFullDate(c.last_message_at)} className="block text-xs text-slate-500">
+            {formatTimestamp(c.last_message_at)}
+          </time>
+        )}
+      </button>
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger asChild>
+          <button aria-label={t('sidebar.actionsFor', { title: c.title || t('conversation.untitled') })}
+                  className="me-1 px-2 py-1 rounded text-slate-400 hover:text-slate-200 opacity-100 md:opacity-0 md:group-hover:opacity-100 focus:opacity-100 data-[state=open]:opacity-100">
+            ⋯
+          </button>
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Portal>
+          <DropdownMenu.Content
+            align="end"
+            sideOffset={4}
+            onCloseAutoFocus={(e) => {
+              // Let the rename input keep focus instead of returning it to the trigger
+              if (keepFocusRef.current) e.preventDefault()
+              keepFocusRef.current = false
+            }}
+            className="z-[60] min-w-[10rem] p-1 rounded-lg border border-slate-700 bg-slate-900 shadow-xl"
+          >
+            <DropdownMenu.Item className={menuItemClass} onSelect={() => { keepFocusRef.current = true; onStartRename(c.id) }}>
+              {t('sidebar.rename')}
+            </DropdownMenu.Item>
+            <DropdownMenu.Item className={menuItemClass} onSelect={() => onUpdate(c.id, { pinned: !c.pinned })}>
+              {c.pinned ? t('sidebar.unpin') : t('sidebar.pin')}
+            </DropdownMenu.Item>
+            <DropdownMenu.Item className={menuItemClass} onSelect={() => onUpdate(c.id, { archived: !c.archived })}>
+              {c.archived ? t('sidebar.unarchive') : t('sidebar.archive')}
+            </DropdownMenu.Item>
+            <DropdownMenu.Sub>
+              <DropdownMenu.SubTrigger className={`${menuItemClass} data-[state=open]:bg-slate-800`}>{t('sidebar.export')}</DropdownMenu.SubTrigger>
+              <DropdownMenu.Portal>
+                <DropdownMenu.SubContent sideOffset={4} className="z-[60] min-w-[9rem] p-1 rounded-lg border border-slate-700 bg-slate-900 shadow-xl">
+                  <DropdownMenu.Item className={menuItemClass} onSelect={() => onExport(c, 'markdown')}>Markdown</DropdownMenu.Item>
+                  <DropdownMenu.Item className={menuItemClass} onSelect={() => onExport(c, 'json')}>JSON</DropdownMenu.Item>
+                  <DropdownMenu.Item className={menuItemClass} onSelect={() => onExport(c, 'print')}>{t('sidebar.print')}</DropdownMenu.Item>
+                </DropdownMenu.SubContent>
+              </DropdownMenu.Portal>
+            </DropdownMenu.Sub>
+            <DropdownMenu.Separator className="my-1 h-px bg-slate-800" />
+            <DropdownMenu.Item className={`${menuItemClass} text-red-300`} onSelect={() => onRequestDelete(c)}>
+              {t('common.delete')}
+            </DropdownMenu.Item>
+          </DropdownMenu.Content>
+        </DropdownMenu.Portal>
+      </DropdownMenu.Root>
+    </div>
+  )
+}
+
+// Sidebar order: pinned first, archived left out unless asked for
+export function orderConversations(conversations, showArchived = false) {
+  const visible = conversations.filter(c => showArchived || !c.archived)
+  return [...visible.filter(c => c.pinned), ...visible.filter(c => !c.pinned)]
+}
+
+// Conversation list shared by the desktop and mobile sidebars.
+// Pinned threads sort first; archived ones are hidden until "Show archived" is toggled.
+export default function ConversationList({ conversations, activeId, onSelect, onUpdate, onExport, onDelete }) {
+  const [renamingId, setRenamingId] = useState(null)
+  const [pendingDelete, setPendingDelete] = useState(null)
+  const [showArchived, setShowArchived] = useState(false)
+
+  const archivedCount = conversations.filter(c => c.archived).length
+  const sorted = orderConversations(conversations, showArchived)
+
+  const rename = (id, title) => {
+    setRenamingId(null)
+    onUpdate(id, { title })
+  }
+
+  const confirmDelete = () => {
+    if (pendingDelete) onDelete(pendingDelete.id)
+    setPendingDelete(null)
+  }
+
+  if (conversations.length === 0) {
+    return <div className="p-4 text-slate-500 text-sm">{t('sidebar.empty')}</div>
+  }
+
+  return (
+    <>
+      <ul className="p-2" aria-label={t('sidebar.title')}>
+        {sorted.map((c) => (
+          <li key={c.id}>
+            <ConversationItem
+              conversation={c}
+              active={activeId === c.id}
+              renaming={renamingId === c.id}
+              onSelect={onSelect}
+              onStartRename={setRenamingId}
+              onRename={rename}
+              onCancelRename={() => setRenamingId(null)}
+              onUpdate={onUpdate}
+              onExport={onExport}
+              onRequestDelete={setPendingDelete}
+            />
+          </li>
+        ))}
+      </ul>
+      {archivedCount > 0 && (
+        <button onClick={() => setShowArchived(v => !v)} className="mx-4 mb-4 text-xs text-slate-500 hover:text-slate-300">
+          {showArchived ? t('sidebar.hideArchived') : t('sidebar.showArchived', { count: archivedCount })}
+        </button>
+      )}
+
+      <Dialog.Root open={!!pendingDelete} onOpenChange={(open) => { if (!open) setPendingDelete(null) }}>
+        <Dialog.Portal>
+          <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+          <Dialog.Content className="fixed z-[80] left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[calc(100%-2rem)] max-w-sm p-5 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl">
+            <Dialog.Title className="text-lg font-semibold">{t('sidebar.deleteTitle')}</Dialog.Title>
+            <Dialog.Description className="mt-2 text-sm text-slate-400">
+              {t('sidebar.deleteBody', { title: pendingDelete?.title || t('conversation.untitled') })}
+            </Dialog.Description>
+            <div className="mt-5 flex justify-end gap-2">
+              <Dialog.Close asChild>
+                <button className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400 text-sm">{t('common.cancel')}</button>
+              </Dialog.Close>
+              <button onClick={confirmDelete} className="px-3 py-1.5 rounded-lg bg-red-600 hover:bg-red-500 text-white text-sm">{t('common.delete')}</button>
+            </div>
+          </Dialog.Content>
+        </Dialog.Portal>
+      </Dialog.Root>
+    </>
+  )
+}
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import ReactMarkdown from 'react-markdown'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import rehypeKatex from 'rehype-katex'
+import rehypeHighlight from 'rehype-highlight'
+import 'katex/dist/katex.min.css'
+import 'highlight.js/styles/github-dark.css'
+import { t } from '../lib/i18n'
+
+// Plain text of a hast node (used to copy a code block without the highlight spans)
+function nodeText(node) {
+  if (!node) return ''
+  if (node.type === 'text') return node.value
+  return (node.children || []).map(nodeText).join('')
+}
+
+function CodeBlock({ node, children }) {
+  const [copied, setCopied] = useState(false)
+  const codeNode = node?.children?.find(c => c.tagName === 'code')
+  const language = (codeNode?.properties?.className || [])
+    .map(String)
+    .find(c => c.startsWith('language-'))
+    ?.slice('language-'.length)
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(nodeText(codeNode).replace(/\n$/, ''))
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch {}
+  }
+
+  // Highlighting uses the github-dark palette, so code blocks stay dark in the light theme
+  return (
+    <div data-theme="dark" dir="ltr" className="my-3 rounded-xl overflow-hidden border border-slate-700 bg-slate-950 text-slate-100">
+      <div className="flex items-center justify-between px-3 py-1.5 text-xs text-slate-400 border-b border-slate-800">
+        <span>{language || t('markdown.code')}</span>
+        <button onClick={copy} className="hover:text-slate-200 transition-colors">{copied ? t('common.copied') : t('common.copy')}</button>
+      </div>
+      <pre className="overflow-x-auto p-3 text-[0.8125rem] leading-relaxed">{children}</pre>
+    </div>
+  )
+}
+
+const components = {
+  pre: CodeBlock,
+  code: ({ node, className, children, ...props }) => {
+    // Fenced blocks are styled by CodeBlock; this only handles inline `code`
+    const inline = !className && !String(children).includes('\n')
+    return inline
+      ? <code className="px-1.5 py-0.5 rounded bg-slate-900/80 text-[0.9em] font-geist-mono" {...props}>{children}</code>
+      : <code className={`${className || ''} font-geist-mono`} {...props}>{children}</code>
+  },
+  a: ({ node, ...props }) => <a {...props} target="_blank" rel="noopener noreferrer" className="text-blue-300 underline underline-offset-2 hover:text-blue-200 break-words" />,
+  p: ({ node, ...props }) => <p className="my-2 first:mt-0 last:mb-0" {...props} />,
+  ul: ({ node, ...props }) => <ul className="my-2 ps-5 list-disc space-y-1" {...props} />,
+  ol: ({ node, ...props }) => <ol className="my-2 ps-5 list-decimal space-y-1" {...props} />,
+  h1: ({ node, ...props }) => <h1 className="mt-4 mb-2 text-xl font-semibold" {...props} />,
+  h2: ({ node, ...props }) => <h2 className="mt-4 mb-2 text-lg font-semibold" {...props} />,
+  h3: ({ node, ...props }) => <h3 className="mt-3 mb-1.5 font-semibold" {...props} />,
+  blockquote: ({ node, ...props }) => <blockquote className="my-2 ps-3 border-s-2 border-slate-600 text-slate-300" {...props} />,
+  hr: ({ node, ...props }) => <hr className="my-4 border-slate-700" {...props} />,
+  table: ({ node, ...props }) => (
+    <div className="my-3 overflow-x-auto">
+      <table className="min-w-full text-sm border-collapse" {...props} />
+    </div>
+  ),
+  th: ({ node, ...props }) => <th className="px-3 py-1.5 text-start font-semibold border-b border-slate-600" {...props} />,
+  td: ({ node, ...props }) => <td className="px-3 py-1.5 border-b border-slate-800 align-top" {...props} />,
+}
+
+// Renders assistant Markdown. Raw HTML in the source is dropped, and react-markdown
+// strips javascript: and other unsafe URLs from links and images.
+export default function Markdown({ content }) {
+  return (
+    <ReactMarkdown
+      skipHtml
+      remarkPlugins={[remarkGfm, remarkMath]}
+      rehypePlugins={[rehypeKatex, [rehypeHighlight, { detect: true }]]}
+      components={components}
+    >
+      {content || ''}
+    </ReactMarkdown>
+  )
+}
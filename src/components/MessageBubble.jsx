@@ -0,0 +1,257 @@
+import { useEffect, useRef, useState } from 'react'
+import Markdown from './Markdown'
+import { formatSize, isImage } from '../lib/attachments'
+import { splitSentences, toSpeakableText } from '../lib/speech'
+import { t } from '../lib/i18n'
+
+const actionClass = 'px-1.5 py-0.5 rounded text-xs text-slate-400 hover:text-slate-200 hover:bg-slate-800/80 disabled:opacity-40 disabled:pointer-events-none'
+
+// Plain-text view of a message while it is being read aloud, or while picking where to
+// start: each sentence is clickable to read from there, and the current sentence and word
+// are highlighted.
+function ReadingView({ speech, onSeek }) {
+  return (
+    <div className="whitespace-pre-wrap">
+      {speech.sentences.map((sentence, i) => {
+        const current = i === speech.index
+        const word = current ? speech.word : null
+        return (
+          <span
+            key={i}
+            onClick={() => onSeek(i)}
+            className={`cursor-pointer rounded transition-colors ${current ? 'bg-amber-400/20' : 'hover:bg-slate-700/60'}`}
+          >
+            {word ? (
+              <>
+                {sentence.text.slice(0, word[0])}
+                <span className="bg-amber-400/40 rounded">{sentence.text.slice(word[0], word[1])}</span>
+                {sentence.text.slice(word[1])}
+              </>
+            ) : sentence.text}
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+function SpeechControls({ speech, onControl }) {
+  const button = 'px-1.5 py-0.5 rounded hover:bg-slate-700 text-slate-300 hover:text-slate-100'
+  return (
+    <div className="mt-2 pt-2 border-t border-slate-700 flex items-center gap-1 text-xs print:hidden">
+      {speech.status === 'paused'
+        ? <button aria-label={t('reading.resume')} className={button} onClick={() => onControl('resume')}>▶</button>
+        : <button aria-label={t('reading.pause')} className={button} onClick={() => onControl('pause')}>⏸</button>}
+      <button aria-label={t('reading.stop')} className={button} onClick={() => onControl('stop')}>⏹</button>
+      <button aria-label={t('reading.previous')} className={button} onClick={() => onControl('skip', -1)}>⏮</button>
+      <button aria-label={t('reading.next')} className={button} onClick={() => onControl('skip', 1)}>⏭</button>
+      <span className="ms-auto text-slate-500 tabular-nums">{Math.min(speech.index + 1, speech.sentences.length)}/{speech.sentences.length}</span>
+    </div>
+  )
+}
+
+function Attachments({ items }) {
+  return (
+    <div className="mb-2 flex flex-wrap gap-2">
+      {items.map((a, i) => isImage(a.type) && a.url ? (
+        <a key={i} href={a.url} target="_blank" rel="noopener noreferrer">
+          <img src={a.url} alt={a.name} className="max-h-40 max-w-full rounded-lg object-cover" />
+        </a>
+      ) : (
+        <a key={i} href={a.url || undefined} target="_blank" rel="noopener noreferrer" className="flex items-center gap-2 px-2 py-1 rounded-lg bg-black/20 text-xs">
+          <span>📄</span>
+          <span className="truncate max-w-[12rem]">{a.name}</span>
+          {a.size ? <span className="opacity-70">{formatSize(a.size)}</span> : null}
+        </a>
+      ))}
+    </div>
+  )
+}
+
+function EditForm({ initial, onSubmit, onCancel }) {
+  const [value, setValue] = useState(initial)
+  const text = value.trim()
+
+  return (
+    <div className="w-full">
+      <textarea
+        autoFocus
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onCancel()
+          if (e.key === 'Enter' && !e.shiftKey && text) {
+            e.preventDefault()
+            onSubmit(text, 'replace')
+          }
+        }}
+        rows={Math.min(8, value.split('\n').length + 1)}
+        className="w-full resize-none rounded-lg bg-blue-700/60 text-white outline-none p-2"
+      />
+      <div className="mt-2 flex flex-wrap justify-end gap-2 text-xs">
+        <button onClick={onCancel} className="px-2 py-1 rounded border border-blue-300/40 hover:border-blue-200">{t('common.cancel')}</button>
+        <button onClick={() => onSubmit(text, 'branch')} disabled={!text} className="px-2 py-1 rounded border border-blue-300/40 hover:border-blue-200 disabled:opacity-50">{t('message.sendAsBranch')}</button>
+        <button onClick={() => onSubmit(text, 'replace')} disabled={!text} className="px-2 py-1 rounded bg-white/90 text-blue-700 hover:bg-white disabled:opacity-50">{t('message.saveAndResend')}</button>
+      </div>
+    </div>
+  )
+}
+
+// Optional note sent along with a rating that was just given
+function FeedbackComment({ rating, initial, onSubmit, onClose }) {
+  const [value, setValue] = useState(initial)
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault()
+        onSubmit(value.trim())
+      }}
+      className="mt-1 flex w-full max-w-[85%] sm:max-w-[80%] items-center gap-2 print:hidden"
+    >
+      <input
+        autoFocus
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Escape') onClose() }}
+        aria-label={t(rating === 'up' ? 'feedback.commentUp' : 'feedback.commentDown')}
+        placeholder={t(rating === 'up' ? 'feedback.commentUp' : 'feedback.commentDown')}
+        className="flex-1 min-w-0 px-2 py-1 rounded-lg bg-slate-900 border border-slate-700 text-xs text-slate-100 outline-none focus:border-blue-500"
+      />
+      <button type="submit" disabled={!value.trim()} className="px-2 py-1 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-xs disabled:opacity-50">{t('feedback.send')}</button>
+      <button type="button" onClick={onClose} className={actionClass}>{t('common.dismiss')}</button>
+    </form>
+  )
+}
+
+export default function MessageBubble({
+  role, content, attachments, pending, failed, error, greeting, summary, index, highlighted, busy,
+  alternates, alternateIndex, canRegenerate, feedback,
+  onSpeak, voiceEnabled, speech, onSpeechControl, onRegenerate, onShowAlternate, onEdit, onBranch, onRetry, onFeedback,
+}) {
+  const isUser = role === 'user'
+  const [editing, setEditing] = useState(false)
+  const [copied, setCopied] = useState(false)
+  const [commenting, setCommenting] = useState(false)
+  const [choosingStart, setChoosingStart] = useState(false)
+  // A rating is posted once, together with its comment, when the comment box is sent or
+  // closed; one still open when the bubble unmounts (scrolled away, thread switched) goes as is
+  const unsentRef = useRef(null)
+  const onFeedbackRef = useRef(onFeedback)
+  onFeedbackRef.current = onFeedback
+  const showActions = !greeting && !pending && !editing
+  const altCount = alternates?.length || 0
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(content)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 1500)
+    } catch {}
+  }
+
+  useEffect(() => () => {
+    if (unsentRef.current) onFeedbackRef.current?.(unsentRef.current.rating, unsentRef.current.comment)
+  }, [])
+
+  const rate = (rating) => {
+    const comment = feedback?.rating === rating ? feedback.comment : ''
+    unsentRef.current = { rating, comment }
+    onFeedback(rating, comment, { draft: true })
+    setCommenting(true)
+  }
+
+  const finishFeedback = (comment) => {
+    unsentRef.current = null
+    onFeedback?.(feedback.rating, comment)
+    setCommenting(false)
+  }
+
+  const readFrom = (i) => {
+    setChoosingStart(false)
+    onSpeechControl('seek', i)
+  }
+
+  const submitEdit = (text, mode) => {
+    setEditing(false)
+    if (text !== content || mode === 'branch') onEdit(text, mode)
+  }
+
+  return (
+    <div data-message-index={index} className={`group flex flex-col ${isUser ? 'items-end' : 'items-start'} w-full`}>
+      {/* The user bubble is blue in both themes, so its contents keep the dark tokens */}
+      <div data-theme={isUser ? 'dark' : undefined} className={`${isUser ? 'bg-blue-600 text-white' : 'bg-slate-800 text-slate-100'} ${highlighted ? 'ring-2 ring-amber-400' : ''} ${editing ? 'w-full' : ''} max-w-[85%] sm:max-w-[80%] px-bubble-x py-bubble-y rounded-2xl shadow-md ${isUser ? 'whitespace-pre-wrap' : 'break-words'} relative text-[0.9375rem] sm:text-base transition-shadow print:max-w-full print:bg-white print:text-black print:shadow-none print:border print:border-gray-300 print:break-inside-avoid`}
+           style={{ borderStartEndRadius: isUser ? '0.5rem' : '1rem', borderStartStartRadius: isUser ? '1rem' : '0.5rem' }}>
+        <span className="sr-only">{isUser ? t('message.youSaid') : t('message.assistantSaid')} </span>
+        {summary && <div className="mb-1 text-[0.6875rem] uppercase tracking-wide text-slate-400">{t('message.summary')}</div>}
+        {attachments?.length > 0 && <Attachments items={attachments} />}
+        {editing
+          ? <EditForm initial={content} onSubmit={submitEdit} onCancel={() => setEditing(false)} />
+          : (
+            <div dir="auto">
+              {isUser ? content
+                : speech ? <ReadingView speech={speech} onSeek={(i) => onSpeechControl('seek', i)} />
+                : choosingStart ? <ReadingView speech={{ sentences: splitSentences(toSpeakableText(content)), index: -1, word: null }} onSeek={readFrom} />
+                : <Markdown content={content} />}
+            </div>
+          )}
+        {speech && <SpeechControls speech={speech} onControl={onSpeechControl} />}
+        {(pending || failed) && (
+          <div className={`mt-1 flex items-center gap-2 text-[0.6875rem] ${failed ? 'text-red-200' : 'text-blue-100/80'}`}>
+            <span>{failed ? error || t('message.notDelivered') : t('message.waiting')}</span>
+            {failed && onRetry && (
+              <button onClick={onRetry} disabled={busy} className="px-1.5 py-0.5 rounded border border-red-200/40 hover:border-red-100 disabled:opacity-50 print:hidden">
+                {t('common.retry')}
+              </button>
+            )}
+          </div>
+        )}
+        {!isUser && voiceEnabled && (
+          <button aria-label={t('message.readAloud')}
+                  title={t('message.readAloud')}
+                  onClick={onSpeak}
+                  className="absolute -end-9 sm:-end-10 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-200 transition-colors print:hidden">
+            <span aria-hidden="true">🔈</span>
+          </button>
+        )}
+      </div>
+      {showActions && (
+        <div className="mt-1 flex items-center gap-1 opacity-100 sm:opacity-0 sm:group-hover:opacity-100 focus-within:opacity-100 transition-opacity print:hidden">
+          {altCount > 1 && (
+            <div className="flex items-center text-xs text-slate-400 me-1">
+              <button aria-label={t('message.previousReply')} className={`${actionClass} rtl:-scale-x-100`} disabled={alternateIndex === 0 || busy} onClick={() => onShowAlternate(alternateIndex - 1)}>‹</button>
+              <span>{alternateIndex + 1}/{altCount}</span>
+              <button aria-label={t('message.nextReply')} className={`${actionClass} rtl:-scale-x-100`} disabled={alternateIndex === altCount - 1 || busy} onClick={() => onShowAlternate(alternateIndex + 1)}>›</button>
+            </div>
+          )}
+          <button className={actionClass} onClick={copy}>{copied ? t('common.copied') : t('common.copy')}</button>
+          {isUser && <button className={actionClass} disabled={busy} onClick={() => setEditing(true)}>{t('message.edit')}</button>}
+          {!isUser && voiceEnabled && !speech && (
+            <button className={actionClass} aria-pressed={choosingStart} onClick={() => setChoosingStart(v => !v)}>{t('message.readFrom')}</button>
+          )}
+          {canRegenerate && <button className={actionClass} disabled={busy} onClick={onRegenerate}>{t('message.regenerate')}</button>}
+          <button className={actionClass} disabled={busy} onClick={onBranch}>{t('message.branch')}</button>
+          {!isUser && onFeedback && (
+            <>
+              <button aria-label={t('feedback.good')} title={t('feedback.good')} aria-pressed={feedback?.rating === 'up'} className={`${actionClass} ${feedback?.rating === 'up' ? 'bg-slate-800' : 'grayscale'}`} onClick={() => rate('up')}>
+                <span aria-hidden="true">👍</span>
+              </button>
+              <button aria-label={t('feedback.bad')} title={t('feedback.bad')} aria-pressed={feedback?.rating === 'down'} className={`${actionClass} ${feedback?.rating === 'down' ? 'bg-slate-800' : 'grayscale'}`} onClick={() => rate('down')}>
+                <span aria-hidden="true">👎</span>
+              </button>
+            </>
+          )}
+        </div>
+      )}
+      {commenting && feedback && (
+        <FeedbackComment
+          key={feedback.rating}
+          rating={feedback.rating}
+          initial={feedback.comment || ''}
+          onSubmit={finishFeedback}
+          onClose={() => finishFeedback(feedback.comment || '')}
+        />
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,150 @@
+import { useEffect, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { DEFAULT_PERSONA, newPersona } from '../lib/personas'
+import { t } from '../lib/i18n'
+
+const fieldClass = 'w-full mt-1 px-3 py-2 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 outline-none focus:border-blue-500'
+
+function PersonaForm({ persona, voices, isDefault, onChange, onMakeDefault, onDelete }) {
+  const update = (changes) => onChange({ ...persona, ...changes })
+  const customTemperature = typeof persona.temperature === 'number'
+
+  return (
+    <div className="space-y-4">
+      <label className="block text-sm text-slate-300">
+        {t('persona.field.name')}
+        <input value={persona.name} onChange={(e) => update({ name: e.target.value })} className={fieldClass} />
+      </label>
+      <label className="block text-sm text-slate-300">
+        {t('persona.field.greeting')}
+        <input value={persona.greeting} onChange={(e) => update({ greeting: e.target.value })} className={fieldClass} />
+      </label>
+      <label className="block text-sm text-slate-300">
+        {t('persona.field.systemPrompt')}
+        <textarea
+          value={persona.system_prompt}
+          onChange={(e) => update({ system_prompt: e.target.value })}
+          rows={5}
+          placeholder={t('persona.field.systemPromptPlaceholder')}
+          className={`${fieldClass} resize-y`}
+        />
+      </label>
+      <label className="block text-sm text-slate-300">
+        {t('persona.field.voice')}
+        <select value={persona.voiceURI} onChange={(e) => update({ voiceURI: e.target.value })} className={fieldClass}>
+          <option value="">{t('persona.field.voiceDefault')}</option>
+          {voices.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>)}
+        </select>
+      </label>
+      <div className="text-sm text-slate-300">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={customTemperature} onChange={(e) => update({ temperature: e.target.checked ? 0.7 : null })} />
+          {t('persona.field.temperature')}
+          <span className="ms-auto text-slate-500 tabular-nums">{customTemperature ? persona.temperature.toFixed(1) : t('persona.field.serverDefault')}</span>
+        </label>
+        {customTemperature && (
+          <input type="range" min={0} max={2} step={0.1} value={persona.temperature}
+                 onChange={(e) => update({ temperature: Number(e.target.value) })}
+                 className="w-full mt-1 accent-blue-500" />
+        )}
+      </div>
+      <label className="block text-sm text-slate-300">
+        {t('persona.field.model')}
+        <input value={persona.model} onChange={(e) => update({ model: e.target.value })} placeholder={t('persona.field.serverDefault')} className={fieldClass} />
+        <span className="mt-1 block text-xs text-slate-500">{t('persona.field.modelHint')}</span>
+      </label>
+      <label className="block text-sm text-slate-300">
+        {t('persona.field.contextLimit')}
+        <input type="number" min={500} step={500} value={persona.context_limit || ''} placeholder={String(DEFAULT_PERSONA.context_limit)}
+               onChange={(e) => update({ context_limit: Math.max(0, Math.round(Number(e.target.value))) || null })}
+               className={fieldClass} />
+        <span className="mt-1 block text-xs text-slate-500">{t('persona.field.contextLimitHint')}</span>
+      </label>
+      <div className="flex items-center gap-2 pt-1">
+        {isDefault
+          ? <span className="text-xs text-slate-500">{t('persona.isDefault')}</span>
+          : <button onClick={onMakeDefault} className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400 text-sm">{t('persona.makeDefault')}</button>}
+        {!persona.builtin && (
+          <button onClick={onDelete} className="ms-auto px-3 py-1.5 rounded-lg text-sm text-red-300 hover:bg-red-500/10">{t('common.delete')}</button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Create and edit persona presets. Changes apply immediately; the built-in Roger persona
+// can be edited but not deleted.
+export default function PersonaDialog({ open, onOpenChange, personas, onChange, voices }) {
+  const { list, defaultId } = personas
+  const [selectedId, setSelectedId] = useState(defaultId)
+
+  useEffect(() => {
+    if (open) setSelectedId(defaultId)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open])
+
+  const selected = list.find(p => p.id === selectedId) || list[0]
+
+  const add = () => {
+    const persona = newPersona()
+    onChange({ list: [...list, persona], defaultId })
+    setSelectedId(persona.id)
+  }
+
+  const update = (persona) => onChange({ list: list.map(p => p.id === persona.id ? persona : p), defaultId })
+
+  const remove = (id) => {
+    const remaining = list.filter(p => p.id !== id)
+    onChange({ list: remaining, defaultId: defaultId === id ? remaining[0].id : defaultId })
+    setSelectedId(remaining[0].id)
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+        <Dialog.Content className="fixed z-[80] left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[calc(100%-2rem)] max-w-2xl max-h-[90vh] overflow-y-auto p-5 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl">
+          <Dialog.Title className="text-lg font-semibold">{t('persona.dialogTitle')}</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm text-slate-400">{t('persona.dialogDescription')}</Dialog.Description>
+
+          <div className="mt-5 flex flex-col sm:flex-row gap-4">
+            <div className="sm:w-44 shrink-0">
+              <ul className="space-y-1">
+                {list.map(p => (
+                  <li key={p.id}>
+                    <button
+                      onClick={() => setSelectedId(p.id)}
+                      className={`w-full text-start px-3 py-1.5 rounded-lg text-sm truncate ${p.id === selected?.id ? 'bg-slate-800 text-slate-100' : 'text-slate-300 hover:bg-slate-800/60'}`}
+                    >
+                      {p.name || t('persona.untitled')}{p.id === defaultId && <span className="ms-1 text-xs text-slate-500">★</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <button onClick={add} className="mt-2 w-full px-3 py-1.5 rounded-lg border border-dashed border-slate-600 hover:border-slate-400 text-sm text-slate-300">{t('persona.add')}</button>
+            </div>
+            <div className="flex-1 min-w-0">
+              {selected && (
+                <PersonaForm
+                  key={selected.id}
+                  persona={selected}
+                  voices={voices}
+                  isDefault={selected.id === defaultId}
+                  onChange={update}
+                  onMakeDefault={() => onChange({ list, defaultId: selected.id })}
+                  onDelete={() => remove(selected.id)}
+                />
+              )}
+            </div>
+          </div>
+
+          <div className="mt-6 flex justify-end">
+            <Dialog.Close asChild>
+              <button className="px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('common.done')}</button>
+            </Dialog.Close>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,13 @@
+import { Navigate, useLocation } from 'react-router-dom'
+import useSession from '../hooks/useSession'
+import { getSessionEndReason } from '../lib/session'
+
+// Route guard: without a session, go to /login and come back here afterwards
+export default function RequireAuth({ children }) {
+  const session = useSession()
+  const location = useLocation()
+  if (!session) {
+    return <Navigate to="/login" replace state={{ from: location, reason: getSessionEndReason() }} />
+  }
+  return children
+}
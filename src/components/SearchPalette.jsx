@@ -0,0 +1,119 @@
+import { useEffect, useMemo, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { searchConversations, searchTerms, termsPattern } from '../lib/search'
+import { t } from '../lib/i18n'
+
+const DEBOUNCE_MS = 200
+
+function Highlight({ text, pattern }) {
+  if (!pattern || !text) return text || null
+  return text.split(pattern).map((part, i) =>
+    i % 2 === 1
+      ? <mark key={i} className="bg-amber-400/30 text-amber-100 rounded px-0.5">{part}</mark>
+      : part
+  )
+}
+
+export default function SearchPalette({ open, onOpenChange, online, conversations, onPick }) {
+  const [query, setQuery] = useState('')
+  const [results, setResults] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [selected, setSelected] = useState(0)
+
+  const pattern = useMemo(() => termsPattern(searchTerms(query)), [query])
+
+  useEffect(() => {
+    if (!open) {
+      setQuery('')
+      setResults([])
+    }
+  }, [open])
+
+  useEffect(() => {
+    const q = query.trim()
+    if (!q) {
+      setResults([])
+      return
+    }
+    const controller = new AbortController()
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      try {
+        const found = await searchConversations(q, { online, conversations, signal: controller.signal })
+        setResults(found)
+        setSelected(0)
+      } catch {}
+      if (!controller.signal.aborted) setSearching(false)
+    }, DEBOUNCE_MS)
+    return () => {
+      clearTimeout(timer)
+      controller.abort()
+    }
+  }, [query, online, conversations])
+
+  const pick = (result) => {
+    onOpenChange(false)
+    onPick(result)
+  }
+
+  const handleKey = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault()
+      setSelected(i => Math.min(i + 1, results.length - 1))
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault()
+      setSelected(i => Math.max(i - 1, 0))
+    } else if (e.key === 'Enter' && results[selected]) {
+      e.preventDefault()
+      pick(results[selected])
+    }
+  }
+
+  const titleFor = (r) => r.title || conversations.find(c => c.id === r.conversation_id)?.title || t('conversation.untitled')
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+        <Dialog.Content className="fixed z-[80] left-1/2 top-[12vh] -translate-x-1/2 w-[calc(100%-2rem)] max-w-xl rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl overflow-hidden">
+          <Dialog.Title className="sr-only">{t('search.title')}</Dialog.Title>
+          <Dialog.Description className="sr-only">{t('search.description')}</Dialog.Description>
+          <input
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKey}
+            placeholder={t('search.placeholder')}
+            className="w-full px-4 py-3 bg-transparent outline-none border-b border-slate-800 placeholder-slate-500"
+          />
+          <div className="max-h-[60vh] overflow-y-auto">
+            {query.trim() && !searching && results.length === 0 && (
+              <div className="p-4 text-sm text-slate-500">{t('search.noMatches')}</div>
+            )}
+            <ul className="p-2">
+              {results.map((r, i) => (
+                <li key={`${r.conversation_id}-${r.message_index ?? 'title'}-${i}`}>
+                  <button
+                    onClick={() => pick(r)}
+                    onMouseEnter={() => setSelected(i)}
+                    className={`w-full text-start px-3 py-2 rounded-lg ${i === selected ? 'bg-slate-800' : ''}`}
+                  >
+                    <div className="text-xs text-slate-400 line-clamp-1">
+                      <Highlight text={titleFor(r)} pattern={pattern} />
+                      {r.role && <span className="ms-2 text-slate-500">· {r.role === 'user' ? t('search.you') : t('search.assistant')}</span>}
+                    </div>
+                    {r.message_index !== null && (
+                      <div className="text-sm text-slate-200 line-clamp-2">
+                        <Highlight text={r.snippet} pattern={pattern} />
+                      </div>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,34 @@
+import * as Dialog from '@radix-ui/react-dialog'
+import { SHORTCUTS, keyLabel } from '../lib/shortcuts'
+import { t } from '../lib/i18n'
+
+export default function ShortcutsDialog({ open, onOpenChange }) {
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+        <Dialog.Content className="fixed z-[80] left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[calc(100%-2rem)] max-w-md p-5 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl">
+          <Dialog.Title className="text-lg font-semibold">{t('shortcuts.title')}</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm text-slate-400">{t('shortcuts.description')}</Dialog.Description>
+          <dl className="mt-4 divide-y divide-slate-800">
+            {SHORTCUTS.map(s => (
+              <div key={s.id} className="py-2 flex items-center gap-3 text-sm">
+                <dt className="text-slate-300">{t(`shortcuts.${s.id}`)}</dt>
+                <dd className="ms-auto flex gap-1" dir="ltr">
+                  {s.keys.map(k => (
+                    <kbd key={k} className="min-w-[1.75rem] px-1.5 py-0.5 rounded border border-slate-600 bg-slate-800 text-center text-xs text-slate-200">{keyLabel(k)}</kbd>
+                  ))}
+                </dd>
+              </div>
+            ))}
+          </dl>
+          <div className="mt-5 flex justify-end">
+            <Dialog.Close asChild>
+              <button className="px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('common.done')}</button>
+            </Dialog.Close>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,100 @@
+import { useEffect, useRef, useState } from 'react'
+import { t } from '../lib/i18n'
+
+export const snippetOptionId = (listId, index) => `${listId}-option-${index}`
+
+// Listbox shown above the composer while it holds only "/query". Keyboard handling stays
+// in the composer (it keeps focus); `activeIndex` counts the snippets, then "Manage".
+export default function SnippetMenu({ id, snippets, activeIndex, onPick, onManage, onHover }) {
+  const listRef = useRef(null)
+
+  useEffect(() => {
+    listRef.current?.querySelector(`#${CSS.escape(snippetOptionId(id, activeIndex))}`)?.scrollIntoView({ block: 'nearest' })
+  }, [id, activeIndex])
+
+  const optionClass = (i) => `px-3 py-2 rounded-lg cursor-pointer ${i === activeIndex ? 'bg-slate-800 text-slate-100' : 'text-slate-300'}`
+
+  return (
+    <ul
+      ref={listRef}
+      id={id}
+      role="listbox"
+      aria-label={t('snippets.title')}
+      className="absolute bottom-full inset-x-0 mb-2 z-[60] max-h-64 overflow-y-auto p-1 rounded-xl border border-slate-700 bg-slate-900 shadow-xl text-sm"
+    >
+      {snippets.length === 0 && <li className="px-3 py-2 text-slate-500">{t('snippets.noMatches')}</li>}
+      {snippets.map((s, i) => (
+        <li
+          key={s.id}
+          id={snippetOptionId(id, i)}
+          role="option"
+          aria-selected={i === activeIndex}
+          onMouseDown={(e) => e.preventDefault()}
+          onMouseEnter={() => onHover(i)}
+          onClick={() => onPick(s)}
+          className={optionClass(i)}
+        >
+          <span className="font-mono text-blue-300" dir="ltr">/{s.name}</span>
+          <span className="ms-2 text-slate-500 truncate">{s.text.split('\n')[0]}</span>
+        </li>
+      ))}
+      <li
+        id={snippetOptionId(id, snippets.length)}
+        role="option"
+        aria-selected={activeIndex === snippets.length}
+        onMouseDown={(e) => e.preventDefault()}
+        onMouseEnter={() => onHover(snippets.length)}
+        onClick={onManage}
+        className={`${optionClass(snippets.length)} border-t border-slate-800 mt-1`}
+      >
+        {t('snippets.manage')}
+      </li>
+    </ul>
+  )
+}
+
+// One field per {{placeholder}}; the filled-in text replaces the composer contents
+export function SnippetFill({ snippet, placeholders, onInsert, onCancel }) {
+  const [values, setValues] = useState({})
+  const firstRef = useRef(null)
+
+  useEffect(() => {
+    firstRef.current?.focus()
+  }, [])
+
+  const submit = (e) => {
+    e.preventDefault()
+    onInsert(values)
+  }
+
+  return (
+    <form
+      onSubmit={submit}
+      onKeyDown={(e) => {
+        if (e.key === 'Escape') {
+          e.stopPropagation()
+          onCancel()
+        }
+      }}
+      aria-label={t('snippets.fillTitle', { name: snippet.name })}
+      className="absolute bottom-full inset-x-0 mb-2 z-[60] p-3 rounded-xl border border-slate-700 bg-slate-900 shadow-xl space-y-2"
+    >
+      <div className="text-sm text-slate-300">{t('snippets.fillTitle', { name: snippet.name })}</div>
+      {placeholders.map((name, i) => (
+        <label key={name} className="block text-xs text-slate-400">
+          {name}
+          <input
+            ref={i === 0 ? firstRef : undefined}
+            value={values[name] ?? ''}
+            onChange={(e) => setValues(prev => ({ ...prev, [name]: e.target.value }))}
+            className="w-full mt-1 px-3 py-1.5 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 outline-none focus:border-blue-500"
+          />
+        </label>
+      ))}
+      <div className="flex justify-end gap-2 pt-1">
+        <button type="button" onClick={onCancel} className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-slate-200">{t('common.cancel')}</button>
+        <button type="submit" className="px-3 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('snippets.insert')}</button>
+      </div>
+    </form>
+  )
+}
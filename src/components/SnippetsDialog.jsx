@@ -0,0 +1,107 @@
+import { useEffect, useState } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { commandName, newSnippet, placeholdersIn } from '../lib/snippets'
+import { t } from '../lib/i18n'
+
+const fieldClass = 'w-full mt-1 px-3 py-2 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 outline-none focus:border-blue-500'
+
+function SnippetForm({ snippet, onChange, onDelete }) {
+  const update = (changes) => onChange({ ...snippet, ...changes })
+  const placeholders = placeholdersIn(snippet.text)
+
+  return (
+    <div className="space-y-4">
+      <label className="block text-sm text-slate-300">
+        {t('snippets.field.name')}
+        <div className="flex items-center mt-1" dir="ltr">
+          <span className="px-2 text-slate-500 font-mono">/</span>
+          <input value={snippet.name} onChange={(e) => update({ name: commandName(e.target.value) })} className="w-full px-3 py-2 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 font-mono outline-none focus:border-blue-500" />
+        </div>
+      </label>
+      <label className="block text-sm text-slate-300">
+        {t('snippets.field.text')}
+        <textarea
+          value={snippet.text}
+          onChange={(e) => update({ text: e.target.value })}
+          rows={6}
+          className={`${fieldClass} resize-y`}
+        />
+        <span className="mt-1 block text-xs text-slate-500">
+          {placeholders.length > 0
+            ? t('snippets.field.placeholders', { names: placeholders.join(', ') })
+            : t('snippets.field.textHint')}
+        </span>
+      </label>
+      <div className="flex pt-1">
+        <button onClick={onDelete} className="ms-auto px-3 py-1.5 rounded-lg text-sm text-red-300 hover:bg-red-500/10">{t('common.delete')}</button>
+      </div>
+    </div>
+  )
+}
+
+// Create and edit the snippets offered by the composer's / menu. Changes apply immediately.
+export default function SnippetsDialog({ open, onOpenChange, snippets, onChange }) {
+  const [selectedId, setSelectedId] = useState(null)
+
+  useEffect(() => {
+    if (open) setSelectedId(snippets[0]?.id ?? null)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [open])
+
+  const selected = snippets.find(s => s.id === selectedId) || snippets[0]
+
+  const add = () => {
+    const snippet = newSnippet()
+    onChange([...snippets, snippet])
+    setSelectedId(snippet.id)
+  }
+
+  const update = (snippet) => onChange(snippets.map(s => s.id === snippet.id ? snippet : s))
+
+  const remove = (id) => {
+    const remaining = snippets.filter(s => s.id !== id)
+    onChange(remaining)
+    setSelectedId(remaining[0]?.id ?? null)
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+        <Dialog.Content className="fixed z-[80] left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[calc(100%-2rem)] max-w-2xl max-h-[90vh] overflow-y-auto p-5 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl">
+          <Dialog.Title className="text-lg font-semibold">{t('snippets.dialogTitle')}</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm text-slate-400">{t('snippets.dialogDescription')}</Dialog.Description>
+
+          <div className="mt-5 flex flex-col sm:flex-row gap-4">
+            <div className="sm:w-44 shrink-0">
+              <ul className="space-y-1">
+                {snippets.map(s => (
+                  <li key={s.id}>
+                    <button
+                      onClick={() => setSelectedId(s.id)}
+                      className={`w-full text-start px-3 py-1.5 rounded-lg text-sm font-mono truncate ${s.id === selected?.id ? 'bg-slate-800 text-slate-100' : 'text-slate-300 hover:bg-slate-800/60'}`}
+                    >
+                      /{s.name || t('snippets.untitled')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <button onClick={add} className="mt-2 w-full px-3 py-1.5 rounded-lg border border-dashed border-slate-600 hover:border-slate-400 text-sm text-slate-300">{t('snippets.add')}</button>
+            </div>
+            <div className="flex-1 min-w-0">
+              {selected
+                ? <SnippetForm key={selected.id} snippet={selected} onChange={update} onDelete={() => remove(selected.id)} />
+                : <p className="text-sm text-slate-500">{t('snippets.empty')}</p>}
+            </div>
+          </div>
+
+          <div className="mt-6 flex justify-end">
+            <Dialog.Close asChild>
+              <button className="px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('common.done')}</button>
+            </Dialog.Close>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
@@ -0,0 +1,40 @@
+import { createContext, useEffect, useLayoutEffect, useMemo, useState, useSyncExternalStore } from 'react'
+import {
+  APPEARANCE_STORAGE_KEY, applyAppearance, loadAppearance, resolveTheme, saveAppearance,
+  subscribeSystemTheme, systemPrefersDark
+} from '../lib/appearance'
+
+export const ThemeContext = createContext(null)
+
+// Owns the appearance preferences for every route. "System" follows the OS color scheme
+// live, and changes made in another tab are picked up through the storage event.
+export default function ThemeProvider({ children }) {
+  const [appearance, setAppearance] = useState(loadAppearance)
+  const systemDark = useSyncExternalStore(subscribeSystemTheme, systemPrefersDark)
+  const resolvedTheme = resolveTheme(appearance.theme, systemDark)
+
+  useLayoutEffect(() => {
+    applyAppearance(appearance, resolvedTheme)
+  }, [appearance, resolvedTheme])
+
+  useEffect(() => {
+    saveAppearance(appearance)
+  }, [appearance])
+
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key === APPEARANCE_STORAGE_KEY) setAppearance(loadAppearance())
+    }
+    window.addEventListener('storage', onStorage)
+    return () => window.removeEventListener('storage', onStorage)
+  }, [])
+
+  const value = useMemo(() => ({
+    appearance,
+    resolvedTheme,
+    setAppearance,
+    updateAppearance: (changes) => setAppearance(prev => ({ ...prev, ...changes })),
+  }), [appearance, resolvedTheme])
+
+  return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>
+}
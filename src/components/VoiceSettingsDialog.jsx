@@ -0,0 +1,95 @@
+import { useMemo } from 'react'
+import * as Dialog from '@radix-ui/react-dialog'
+import { DEFAULT_VOICE_SETTINGS, RECOGNITION_LANGS, languageLabel, voiceMatchesLang } from '../lib/voiceSettings'
+import { speechLang, t } from '../lib/i18n'
+
+const fieldClass = 'w-full mt-1 px-3 py-2 rounded-lg bg-slate-950 border border-slate-700 text-sm text-slate-100 outline-none focus:border-blue-500'
+
+function Slider({ label, value, min, max, step, onChange }) {
+  return (
+    <label className="block text-sm">
+      <div className="flex justify-between text-slate-300">
+        <span>{label}</span>
+        <span className="text-slate-500 tabular-nums">{value.toFixed(1)}</span>
+      </div>
+      <input type="range" min={min} max={max} step={step} value={value}
+             onChange={(e) => onChange(Number(e.target.value))}
+             className="w-full mt-1 accent-blue-500" />
+    </label>
+  )
+}
+
+export default function VoiceSettingsDialog({ open, onOpenChange, voices, settings, onChange, onPreview, synthSupported, recSupported }) {
+  const update = (changes) => onChange({ ...settings, ...changes })
+
+  const languages = useMemo(() => {
+    const tags = new Set(voices.map(v => v.lang.replace('_', '-')))
+    return [...tags].sort()
+  }, [voices])
+
+  const recognitionLangs = useMemo(() => {
+    const tags = new Set(RECOGNITION_LANGS)
+    if (settings.recognitionLang) tags.add(settings.recognitionLang)
+    return [...tags]
+  }, [settings.recognitionLang])
+
+  const matchingVoices = voices.filter(v => voiceMatchesLang(v.lang, settings.lang || speechLang()))
+  const filteredVoices = matchingVoices.length > 0 ? matchingVoices : voices
+  const appLanguage = t('voice.settings.appLanguage', { language: languageLabel(speechLang()) })
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-[70]" />
+        <Dialog.Content className="fixed z-[80] left-1/2 top-1/2 -translate-x-1/2 -translate-y-1/2 w-[calc(100%-2rem)] max-w-md max-h-[90vh] overflow-y-auto p-5 rounded-2xl border border-slate-700 bg-slate-900 text-slate-100 shadow-2xl">
+          <Dialog.Title className="text-lg font-semibold">{t('voice.settings')}</Dialog.Title>
+          <Dialog.Description className="mt-1 text-sm text-slate-400">{t('voice.settings.description')}</Dialog.Description>
+
+          {synthSupported && (
+            <section className="mt-5 space-y-4">
+              <h3 className="text-xs uppercase tracking-wide text-slate-500">{t('voice.settings.speech')}</h3>
+              <label className="block text-sm text-slate-300">
+                {t('voice.settings.language')}
+                <select value={settings.lang} onChange={(e) => update({ lang: e.target.value, voiceURI: '' })} className={fieldClass}>
+                  <option value="">{appLanguage}</option>
+                  {languages.map(tag => <option key={tag} value={tag}>{languageLabel(tag)}</option>)}
+                </select>
+              </label>
+              <label className="block text-sm text-slate-300">
+                {t('voice.settings.voice')}
+                <select value={settings.voiceURI} onChange={(e) => update({ voiceURI: e.target.value })} className={fieldClass}>
+                  <option value="">{t('voice.settings.automatic')}</option>
+                  {filteredVoices.map(v => <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>)}
+                </select>
+              </label>
+              <Slider label={t('voice.settings.rate')} value={settings.rate} min={0.5} max={2} step={0.1} onChange={(rate) => update({ rate })} />
+              <Slider label={t('voice.settings.pitch')} value={settings.pitch} min={0} max={2} step={0.1} onChange={(pitch) => update({ pitch })} />
+              <Slider label={t('voice.settings.volume')} value={settings.volume} min={0} max={1} step={0.1} onChange={(volume) => update({ volume })} />
+              <button onClick={onPreview} className="px-3 py-1.5 rounded-lg border border-slate-600 hover:border-slate-400 text-sm"><span aria-hidden="true">🔈</span> {t('voice.settings.preview')}</button>
+            </section>
+          )}
+
+          {recSupported && (
+            <section className="mt-6 space-y-4">
+              <h3 className="text-xs uppercase tracking-wide text-slate-500">{t('voice.settings.recognition')}</h3>
+              <label className="block text-sm text-slate-300">
+                {t('voice.settings.listeningLanguage')}
+                <select value={settings.recognitionLang} onChange={(e) => update({ recognitionLang: e.target.value })} className={fieldClass}>
+                  <option value="">{appLanguage}</option>
+                  {recognitionLangs.map(tag => <option key={tag} value={tag}>{languageLabel(tag)}</option>)}
+                </select>
+              </label>
+            </section>
+          )}
+
+          <div className="mt-6 flex justify-between">
+            <button onClick={() => onChange({ ...DEFAULT_VOICE_SETTINGS })} className="px-3 py-1.5 rounded-lg text-sm text-slate-400 hover:text-slate-200">{t('common.resetDefaults')}</button>
+            <Dialog.Close asChild>
+              <button className="px-4 py-1.5 rounded-lg bg-blue-600 hover:bg-blue-500 text-white text-sm">{t('common.done')}</button>
+            </Dialog.Close>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
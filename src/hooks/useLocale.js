@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getLocale, subscribeLocale } from '../lib/i18n'
+
+// Current UI locale id, re-rendering when it is switched here or in another tab
+export default function useLocale() {
+  return useSyncExternalStore(subscribeLocale, getLocale)
+}
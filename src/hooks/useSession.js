@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react'
+import { getSession, subscribeSession } from '../lib/session'
+
+// Current session (or null), re-rendering on sign-in, refresh, sign-out and expiry
+export default function useSession() {
+  return useSyncExternalStore(subscribeSession, getSession)
+}
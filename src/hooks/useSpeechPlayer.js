@@ -0,0 +1,102 @@
+import { useEffect, useRef, useState } from 'react'
+import { splitSentences, toSpeakableText } from '../lib/speech'
+
+const IDLE = { key: null, sentences: [], index: 0, word: null, status: 'idle' }
+
+// Sentence-by-sentence speech synthesis. One utterance is queued at a time so playback
+// can be paused, skipped or restarted from any sentence; `word` is the [start, end)
+// range of the word being spoken inside the current sentence, driven by onboundary.
+export default function useSpeechPlayer({ supported, configure }) {
+  const [state, setState] = useState(IDLE)
+  const stateRef = useRef(IDLE)
+  const runRef = useRef(0)
+  const onEndRef = useRef(null)
+  const configureRef = useRef(configure)
+  configureRef.current = configure
+
+  const update = (next) => {
+    stateRef.current = next
+    setState(next)
+  }
+
+  const finish = () => {
+    runRef.current += 1
+    update(IDLE)
+    const onEnd = onEndRef.current
+    onEndRef.current = null
+    onEnd?.()
+  }
+
+  const speakSentence = (index) => {
+    const { sentences } = stateRef.current
+    if (index >= sentences.length) {
+      finish()
+      return
+    }
+    const run = ++runRef.current
+    const sentence = sentences[index]
+    const utter = configureRef.current(new SpeechSynthesisUtterance(sentence.speak))
+    utter.onboundary = (e) => {
+      if (run !== runRef.current || e.name !== 'word') return
+      const length = e.charLength || (sentence.speak.slice(e.charIndex).match(/^\S+/)?.[0].length ?? 0)
+      const start = sentence.offset + e.charIndex
+      update({ ...stateRef.current, word: [start, start + length] })
+    }
+    // Cancelled utterances also fire end/error; the run counter filters those out
+    utter.onend = utter.onerror = () => {
+      if (run === runRef.current) speakSentence(index + 1)
+    }
+    update({ ...stateRef.current, index, word: null, status: 'playing' })
+    try {
+      window.speechSynthesis.cancel()
+      // Seeking while paused would otherwise queue the sentence behind the pause
+      if (window.speechSynthesis.paused) window.speechSynthesis.resume()
+      window.speechSynthesis.speak(utter)
+    } catch {
+      finish()
+    }
+  }
+
+  const play = (key, text, { from = 0, onEnd } = {}) => {
+    if (!supported) return
+    // Replacing playback counts as the previous one ending
+    const previousEnd = onEndRef.current
+    onEndRef.current = onEnd || null
+    if (previousEnd && previousEnd !== onEnd) previousEnd()
+    const sentences = splitSentences(toSpeakableText(text))
+    update({ key, sentences, index: 0, word: null, status: 'playing' })
+    speakSentence(Math.min(from, sentences.length))
+  }
+
+  const pause = () => {
+    if (stateRef.current.status !== 'playing') return
+    window.speechSynthesis.pause()
+    update({ ...stateRef.current, status: 'paused' })
+  }
+
+  const resume = () => {
+    if (stateRef.current.status !== 'paused') return
+    window.speechSynthesis.resume()
+    update({ ...stateRef.current, status: 'playing' })
+  }
+
+  const stop = () => {
+    if (stateRef.current.status === 'idle') return
+    try { window.speechSynthesis.cancel() } catch {}
+    finish()
+  }
+
+  const seek = (index) => {
+    if (stateRef.current.status === 'idle') return
+    speakSentence(Math.max(0, index))
+  }
+
+  const skip = (delta = 1) => seek(stateRef.current.index + delta)
+
+  useEffect(() => () => {
+    runRef.current += 1
+    try { window.speechSynthesis?.cancel() } catch {}
+  }, [])
+
+  return { state, play, pause, resume, stop, seek, skip }
+}
@@ -0,0 +1,8 @@
+import { useContext } from 'react'
+import { ThemeContext } from '../components/ThemeProvider'
+
+// Appearance preferences from the nearest ThemeProvider:
+// { appearance, resolvedTheme, setAppearance, updateAppearance }
+export default function useTheme() {
+  return useContext(ThemeContext)
+}
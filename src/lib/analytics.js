@@ -0,0 +1,81 @@
+// Local usage log behind the /analytics page. Nothing here leaves the browser: Chat
+// appends an event per sent message (with the /api/ask round trip) and per feedback
+// rating, and the page summarizes them or exports them as CSV. The log belongs to the
+// signed-in account and is cleared when another one signs in (see lib/auth.js).
+
+const STORAGE_KEY = 'roger.analytics'
+const MAX_EVENTS = 5000
+
+export function loadEvents() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+function append(event) {
+  const events = [...loadEvents(), { at: new Date().toISOString(), ...event }].slice(-MAX_EVENTS)
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(events))
+  } catch {}
+}
+
+export function clearEvents() {
+  try {
+    localStorage.removeItem(STORAGE_KEY)
+  } catch {}
+}
+
+// `source` is 'typed' or 'voice'; `ms` is only set when a reply arrived
+export const recordMessage = ({ source, status, ms = null }) => append({ type: 'message', source, status, ms })
+
+// `message` identifies the rated reply, so changing a rating replaces the earlier one
+export const recordFeedback = ({ message, rating, comment = '' }) => append({ type: 'feedback', message, rating, comment })
+
+const dayKey = (date) => {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+// Message counts for each of the last `days` local calendar days, oldest first
+export function messagesPerDay(events, days = 14) {
+  const counts = {}
+  for (const e of events) {
+    if (e.type === 'message') counts[dayKey(e.at)] = (counts[dayKey(e.at)] || 0) + 1
+  }
+  const today = new Date()
+  return Array.from({ length: days }, (_, i) => {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (days - 1 - i))
+    return { date, count: counts[dayKey(date)] || 0 }
+  })
+}
+
+export function summarizeUsage(events) {
+  const messages = events.filter(e => e.type === 'message')
+  const timed = messages.filter(e => typeof e.ms === 'number')
+  const latest = {}
+  for (const e of events) {
+    if (e.type === 'feedback') latest[e.message] = e.rating
+  }
+  const ratings = Object.values(latest)
+  return {
+    messages: messages.length,
+    voice: messages.filter(e => e.source === 'voice').length,
+    typed: messages.filter(e => e.source !== 'voice').length,
+    avgLatency: timed.length ? Math.round(timed.reduce((sum, e) => sum + e.ms, 0) / timed.length) : null,
+    up: ratings.filter(r => r === 'up').length,
+    down: ratings.filter(r => r === 'down').length,
+  }
+}
+
+const CSV_COLUMNS = ['at', 'type', 'source', 'status', 'ms', 'message', 'rating', 'comment']
+
+const csvCell = (value) => {
+  const text = value == null ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCSV = (events) =>
+  [CSV_COLUMNS.join(','), ...events.map(e => CSV_COLUMNS.map(c => csvCell(e[c])).join(','))].join('\r\n') + '\r\n'
@@ -0,0 +1,202 @@
+// Shared client for the Roger backend. Every request gets a timeout; idempotent
+// requests are retried with exponential backoff. Failures surface as typed errors:
+// HttpError (the server answered with 4xx/5xx), NetworkError (no answer at all) and
+// TimeoutError. A caller's own AbortSignal still rejects with the native AbortError.
+// Requests carry the session's bearer token; a 401 refreshes it once and replays the
+// request, and a refresh the server rejects ends the session as expired.
+
+import { getSession, setSession, clearSession } from './session'
+import { t } from './i18n'
+
+export const BACKEND_URL = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
+
+const DEFAULT_TIMEOUT = 15000
+// /api/ask waits for the model before it answers
+export const ASK_TIMEOUT = 30000
+const DEFAULT_RETRIES = 2
+const BACKOFF_BASE_MS = 500
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS']
+const REFRESH_AHEAD_MS = 30000
+
+export class ApiError extends Error {
+  constructor(message, options) {
+    super(message, options)
+    this.name = 'ApiError'
+  }
+}
+
+export class HttpError extends ApiError {
+  constructor(status, message) {
+    super(message || `Request failed: ${status}`)
+    this.name = 'HttpError'
+    this.status = status
+  }
+
+  get isClientError() {
+    return this.status >= 400 && this.status < 500
+  }
+
+  get isServerError() {
+    return this.status >= 500
+  }
+}
+
+export class NetworkError extends ApiError {
+  constructor(cause) {
+    super('Could not reach the server', { cause })
+    this.name = 'NetworkError'
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(timeout) {
+    super(`Request timed out after ${Math.round(timeout / 1000)}s`)
+    this.name = 'TimeoutError'
+    this.timeout = timeout
+  }
+}
+
+const isRetryable = (err) =>
+  err instanceof NetworkError ||
+  err instanceof TimeoutError ||
+  (err instanceof HttpError && (err.isServerError || err.status === 429))
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer)
+    reject(new DOMException('Aborted', 'AbortError'))
+  }, { once: true })
+})
+
+const backoff = (attempt) => BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS / 2
+
+async function errorMessage(res) {
+  try {
+    const data = await res.json()
+    const detail = data?.detail ?? data?.error ?? data?.message
+    return typeof detail === 'string' ? detail : undefined
+  } catch {
+    return undefined
+  }
+}
+
+async function attempt(url, { method, headers, body, cache, timeout, signal, raw }) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = timeout ? setTimeout(() => { timedOut = true; controller.abort() }, timeout) : null
+  const forwardAbort = () => controller.abort()
+  if (signal?.aborted) controller.abort()
+  signal?.addEventListener('abort', forwardAbort, { once: true })
+
+  let res
+  try {
+    res = await fetch(url, { method, headers, body, cache, signal: controller.signal })
+  } catch (err) {
+    if (timedOut) throw new TimeoutError(timeout)
+    if (err?.name === 'AbortError') throw err
+    throw new NetworkError(err)
+  } finally {
+    // The timeout covers waiting for the response, not reading a streamed body
+    clearTimeout(timer)
+    if (!raw) signal?.removeEventListener('abort', forwardAbort)
+  }
+
+  if (!res.ok) throw new HttpError(res.status, await errorMessage(res))
+  if (raw) return res
+  if (res.status === 204) return null
+  return res.json()
+}
+
+const withAuth = (headers) => {
+  const token = getSession()?.access_token
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+}
+
+let refreshing = null
+
+// Swap the refresh token for a new access token; concurrent callers share one request.
+// Resolves false when the server turns the refresh token down.
+function refreshSession() {
+  const refreshToken = getSession()?.refresh_token
+  if (!refreshToken) return Promise.resolve(false)
+  if (!refreshing) {
+    refreshing = attempt(`${BACKEND_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token: refreshToken }),
+      timeout: DEFAULT_TIMEOUT
+    })
+      .then((data) => { setSession(data); return true })
+      .catch((err) => {
+        if (err instanceof HttpError) return false
+        throw err
+      })
+      .finally(() => { refreshing = null })
+  }
+  return refreshing
+}
+
+// `json` is sent as a JSON body; `raw` resolves with the Response (e.g. to read a stream).
+// `auth: false` leaves out the Authorization header (used by the sign-in calls).
+// `cache: 'no-store'` also keeps the service worker from answering from its cache.
+export async function request(path, { method = 'GET', json, body, headers = {}, cache, timeout = DEFAULT_TIMEOUT, retries, signal, raw = false, auth = true } = {}) {
+  const url = /^https?:\/\//.test(path) ? path : `${BACKEND_URL}${path}`
+  const init = json === undefined
+    ? { method, headers, body }
+    : { method, headers: { 'Content-Type': 'application/json', ...headers }, body: JSON.stringify(json) }
+  const maxRetries = retries ?? (IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0)
+
+  const expiresAt = auth && getSession()?.expires_at
+  if (expiresAt && expiresAt - Date.now() < REFRESH_AHEAD_MS) await refreshSession().catch(() => {})
+
+  let refreshed = false
+  for (let n = 0; ;) {
+    try {
+      return await attempt(url, { ...init, headers: auth ? withAuth(init.headers) : init.headers, cache, timeout, signal, raw })
+    } catch (err) {
+      if (auth && !refreshed && err instanceof HttpError && err.status === 401 && getSession()) {
+        refreshed = true
+        if (await refreshSession()) continue
+        clearSession('expired')
+        throw err
+      }
+      if (n >= maxRetries || !isRetryable(err)) throw err
+      await sleep(backoff(n++), signal)
+    }
+  }
+}
+
+export const api = {
+  get: (path, options) => request(path, { ...options, method: 'GET' }),
+  post: (path, json, options) => request(path, { ...options, method: 'POST', json }),
+  patch: (path, json, options) => request(path, { ...options, method: 'PATCH', json }),
+  delete: (path, options) => request(path, { ...options, method: 'DELETE' }),
+}
+
+export async function checkHealth() {
+  try {
+    await request('/test', { timeout: 5000, retries: 0 })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Short, user-facing explanation of a failed request
+export function describeError(err) {
+  if (err instanceof TimeoutError) return t('error.timeout')
+  if (err instanceof NetworkError) return t('error.network')
+  if (err instanceof HttpError) {
+    if (err.status === 401) return t('error.sessionExpired')
+    if (err.status === 413) return t('error.tooLarge')
+    if (err.status === 429) return t('error.rateLimited')
+    if (err.isClientError) {
+      return err.message && !err.message.startsWith('Request failed')
+        ? t('error.rejectedWithReason', { reason: err.message })
+        : t('error.rejected', { status: err.status })
+    }
+    return t('error.server', { status: err.status })
+  }
+  return t('error.unknown')
+}
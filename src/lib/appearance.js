@@ -0,0 +1,61 @@
+// Appearance preferences, persisted in localStorage and applied as data attributes on
+// <html>. The CSS variables those attributes switch are generated in tailwind.config.js;
+// index.html applies the stored values before the first paint.
+
+export const APPEARANCE_STORAGE_KEY = 'roger.appearance'
+
+// Option labels are the appearance.<group>.<id> catalog keys
+export const THEMES = ['system', 'light', 'dark']
+export const FONT_SIZES = ['small', 'medium', 'large', 'larger']
+export const DENSITIES = ['compact', 'comfortable', 'spacious']
+
+export const DEFAULT_APPEARANCE = {
+  theme: 'system',
+  fontSize: 'medium',
+  density: 'comfortable',
+  highContrast: false,
+}
+
+const valid = (options, id, fallback) => options.includes(id) ? id : fallback
+
+export function loadAppearance() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(APPEARANCE_STORAGE_KEY) || '{}')
+    return {
+      theme: valid(THEMES, stored.theme, DEFAULT_APPEARANCE.theme),
+      fontSize: valid(FONT_SIZES, stored.fontSize, DEFAULT_APPEARANCE.fontSize),
+      density: valid(DENSITIES, stored.density, DEFAULT_APPEARANCE.density),
+      highContrast: stored.highContrast === true,
+    }
+  } catch {
+    return { ...DEFAULT_APPEARANCE }
+  }
+}
+
+export function saveAppearance(appearance) {
+  try {
+    localStorage.setItem(APPEARANCE_STORAGE_KEY, JSON.stringify(appearance))
+  } catch {}
+}
+
+// Roger started out dark-only, so "system" stays dark unless the OS asks for light
+const lightQuery = () => window.matchMedia?.('(prefers-color-scheme: light)')
+
+export const systemPrefersDark = () => !lightQuery()?.matches
+
+export function subscribeSystemTheme(callback) {
+  const query = lightQuery()
+  if (!query) return () => {}
+  query.addEventListener('change', callback)
+  return () => query.removeEventListener('change', callback)
+}
+
+export const resolveTheme = (theme, systemDark) => theme === 'system' ? (systemDark ? 'dark' : 'light') : theme
+
+export function applyAppearance(appearance, resolvedTheme) {
+  const root = document.documentElement
+  root.dataset.theme = resolvedTheme
+  root.dataset.fontSize = appearance.fontSize
+  root.dataset.density = appearance.density
+  root.dataset.contrast = appearance.highContrast ? 'more' : 'normal'
+}
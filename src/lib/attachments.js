@@ -0,0 +1,81 @@
+// Composer attachments: validation, previews and the multipart /api/ask body.
+
+import { t } from './i18n'
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024
+export const MAX_ATTACHMENTS = 5
+
+const ALLOWED_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'text/plain', 'text/csv', 'text/markdown', 'application/json', 'application/pdf',
+]
+// Browsers often report an empty type for logs and other plain-text files
+const ALLOWED_EXTENSIONS = ['.txt', '.log', '.csv', '.md', '.json']
+
+export const ACCEPT = [...ALLOWED_TYPES, ...ALLOWED_EXTENSIONS].join(',')
+
+export const isImage = (type) => (type || '').startsWith('image/')
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+const allowed = (file) => ALLOWED_TYPES.includes(file.type) ||
+  ALLOWED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
+
+// Split incoming files into accepted attachments and human-readable rejections
+export function validateFiles(files, existingCount = 0) {
+  const accepted = []
+  const errors = []
+  for (const file of files) {
+    if (!allowed(file)) {
+      errors.push(t('attachments.unsupportedType', { name: file.name }))
+    } else if (file.size > MAX_FILE_SIZE) {
+      errors.push(t('attachments.tooLarge', { name: file.name, size: formatSize(MAX_FILE_SIZE) }))
+    } else if (existingCount + accepted.length >= MAX_ATTACHMENTS) {
+      errors.push(t('attachments.tooMany', { name: file.name, count: MAX_ATTACHMENTS }))
+    } else {
+      accepted.push(file)
+    }
+  }
+  return { accepted, errors }
+}
+
+export function makeAttachment(file) {
+  return {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`,
+    file,
+    name: file.name || 'pasted-image.png',
+    type: file.type,
+    size: file.size,
+    url: isImage(file.type) ? URL.createObjectURL(file) : null,
+  }
+}
+
+// What a sent message keeps about its attachments (the File itself stays out of message state)
+export const attachmentMeta = ({ name, type, size, url }) => ({ name, type, size, url })
+
+// fetch() options for POST /api/ask: JSON normally, multipart when files ride along.
+// `files` is a list of { name, blob }.
+export function askRequestInit(payload, files = []) {
+  if (files.length === 0) {
+    return {
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream, application/json' },
+      body: JSON.stringify(payload)
+    }
+  }
+  const form = new FormData()
+  Object.entries(payload).forEach(([key, value]) => {
+    if (value === undefined || value === null) return
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value))
+  })
+  files.forEach(({ name, blob }) => form.append('files', blob, name))
+  // No Content-Type: the browser adds the multipart boundary itself
+  return { headers: { Accept: 'text/event-stream, application/json' }, body: form }
+}
+
+// Object URLs die with the page, so only real URLs are worth persisting
+export const storableAttachments = (attachments) =>
+  attachments.map(a => ({ ...a, url: a.url?.startsWith('blob:') ? null : a.url }))
@@ -0,0 +1,57 @@
+// Sign-in, sign-up and sign-out against the backend's /api/auth endpoints.
+// Token storage lives in lib/session.js; lib/api.js attaches and refreshes it.
+
+import { request } from './api'
+import { getSession, setSession, clearSession } from './session'
+import { clearLocalData } from './db'
+import { clearCachedResponses } from './pwa'
+import { clearComposerState } from './composer'
+import { clearEvents } from './analytics'
+
+const OWNER_KEY = 'roger.dataOwner'
+
+// Local data (the IndexedDB mirror, cached reads, drafts, prompt history and usage
+// analytics) belongs to whoever signed in last; another account starts empty
+async function claimLocalData(user) {
+  const id = String(user?.id ?? user?.email ?? '')
+  if (!id) return
+  let owner = null
+  try { owner = localStorage.getItem(OWNER_KEY) } catch {}
+  if (owner && owner !== id) {
+    await clearLocalData().catch(() => {})
+    await clearCachedResponses()
+    clearComposerState()
+    clearEvents()
+  }
+  try { localStorage.setItem(OWNER_KEY, id) } catch {}
+}
+
+async function startSession(path, payload) {
+  const data = await request(path, { method: 'POST', json: payload, auth: false, retries: 0 })
+  if (!data?.access_token) throw new Error('The server did not return a session token')
+  const user = data.user ?? { email: payload.email }
+  await claimLocalData(user)
+  setSession({ ...data, user })
+}
+
+export function signIn({ email, password }) {
+  return startSession('/api/auth/login', { email, password })
+}
+
+export function signUp({ name, email, password }) {
+  return startSession('/api/auth/register', { name, email, password })
+}
+
+// Local sign-out is immediate; telling the server to revoke the tokens is best effort
+export function signOut() {
+  const session = getSession()
+  if (!session) return
+  request('/api/auth/logout', {
+    method: 'POST',
+    json: { refresh_token: session.refresh_token },
+    headers: { Authorization: `Bearer ${session.access_token}` },
+    auth: false,
+    retries: 0,
+  }).catch(() => {})
+  clearSession('signed-out')
+}
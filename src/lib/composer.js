@@ -0,0 +1,68 @@
+// Composer state that outlives the page: unsent drafts per conversation and the history
+// of sent prompts recalled with ↑/↓. Both live in localStorage, so they survive
+// reloads, sign-out and session expiry, but not another account signing in.
+
+const DRAFTS_KEY = 'roger.drafts'
+const HISTORY_KEY = 'roger.promptHistory'
+const HISTORY_LIMIT = 100
+
+const readJSON = (key, fallback) => {
+  try {
+    const value = JSON.parse(localStorage.getItem(key) || 'null')
+    return value ?? fallback
+  } catch {
+    return fallback
+  }
+}
+
+const writeJSON = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch {}
+}
+
+export function loadDraft(conversationId) {
+  if (!conversationId) return ''
+  const drafts = readJSON(DRAFTS_KEY, {})
+  return typeof drafts[conversationId] === 'string' ? drafts[conversationId] : ''
+}
+
+export function saveDraft(conversationId, text) {
+  if (!conversationId) return
+  const drafts = readJSON(DRAFTS_KEY, {})
+  if (text) drafts[conversationId] = text
+  else delete drafts[conversationId]
+  writeJSON(DRAFTS_KEY, drafts)
+}
+
+export const deleteDraft = (conversationId) => saveDraft(conversationId, '')
+
+// Offline conversations get a server id once the queue is replayed
+export function moveDraft(fromId, toId) {
+  const drafts = readJSON(DRAFTS_KEY, {})
+  if (!(fromId in drafts)) return
+  drafts[toId] = drafts[fromId]
+  delete drafts[fromId]
+  writeJSON(DRAFTS_KEY, drafts)
+}
+
+// Oldest first, like a shell history; repeating the latest prompt is not recorded twice
+export const loadPromptHistory = () => {
+  const history = readJSON(HISTORY_KEY, [])
+  return Array.isArray(history) ? history.filter(p => typeof p === 'string') : []
+}
+
+export function addToPromptHistory(history, prompt) {
+  if (!prompt || history[history.length - 1] === prompt) return history
+  const next = [...history, prompt].slice(-HISTORY_LIMIT)
+  writeJSON(HISTORY_KEY, next)
+  return next
+}
+
+// Drafts and sent prompts belong to the account that wrote them (see lib/auth.js)
+export function clearComposerState() {
+  try {
+    localStorage.removeItem(DRAFTS_KEY)
+    localStorage.removeItem(HISTORY_KEY)
+  } catch {}
+}
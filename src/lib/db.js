@@ -0,0 +1,169 @@
+// Local IndexedDB mirror of conversations and messages, plus the queue of
+// /api/ask requests written while the backend was unreachable.
+// Conversations created offline get a temporary "local-" id until the sync
+// replays them against the server (see lib/sync.js).
+
+const DB_NAME = 'roger'
+const DB_VERSION = 1
+const LOCAL_PREFIX = 'local-'
+
+let dbPromise = null
+
+function openDB() {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'))
+      return
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      db.createObjectStore('conversations', { keyPath: 'id' })
+      const messages = db.createObjectStore('messages', { keyPath: 'key', autoIncrement: true })
+      messages.createIndex('conversation_id', 'conversation_id')
+      db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true })
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  // Allow a later retry if opening failed (e.g. private browsing)
+  dbPromise.catch(() => { dbPromise = null })
+  return dbPromise
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Run fn inside a transaction and resolve with its result once the transaction commits
+async function transact(storeNames, mode, fn) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    const stores = storeNames.map(name => tx.objectStore(name))
+    let result
+    Promise.resolve(fn(...stores)).then(r => { result = r }, err => {
+      try { tx.abort() } catch {}
+      reject(err)
+    })
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_PREFIX)
+
+export function newLocalId() {
+  const rand = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+  return `${LOCAL_PREFIX}${rand}`
+}
+
+const byRecent = (a, b) => new Date(b.last_message_at || 0) - new Date(a.last_message_at || 0)
+
+export function getConversations() {
+  return transact(['conversations'], 'readonly', async (store) => {
+    const all = await promisify(store.getAll())
+    return all.sort(byRecent)
+  })
+}
+
+export function putConversation(conversation) {
+  return transact(['conversations'], 'readwrite', (store) => { store.put(conversation) })
+}
+
+// Replace the mirrored server list, keeping conversations that only exist locally.
+// Resolves with the merged list (local-only first).
+export function saveConversations(list) {
+  return transact(['conversations'], 'readwrite', async (store) => {
+    const existing = await promisify(store.getAll())
+    const local = existing.filter(c => isLocalId(c.id)).sort(byRecent)
+    existing.forEach(c => { if (!isLocalId(c.id)) store.delete(c.id) })
+    list.forEach(c => store.put(c))
+    return [...local, ...list]
+  })
+}
+
+export function getMessages(conversationId) {
+  return transact(['messages'], 'readonly', (store) =>
+    promisify(store.index('conversation_id').getAll(conversationId))
+  )
+}
+
+export function addMessages(conversationId, messages) {
+  return transact(['messages'], 'readwrite', (store) => {
+    messages.forEach(({ key, ...m }) => store.add({ ...m, conversation_id: conversationId }))
+  })
+}
+
+// Swap in the server's copy of a conversation, re-appending messages still waiting to be sent
+export function replaceMessages(conversationId, messages) {
+  return transact(['messages'], 'readwrite', async (store) => {
+    const existing = await promisify(store.index('conversation_id').getAll(conversationId))
+    existing.forEach(m => store.delete(m.key))
+    const pending = existing.filter(m => m.pending)
+    ;[...messages, ...pending].forEach(({ key, ...m }) => store.add({ ...m, conversation_id: conversationId }))
+  })
+}
+
+export function updateMessage(clientId, changes) {
+  return transact(['messages'], 'readwrite', async (store) => {
+    const all = await promisify(store.getAll())
+    const match = all.find(m => m.client_id === clientId)
+    if (match) store.put({ ...match, ...changes })
+  })
+}
+
+export function enqueue(item) {
+  return transact(['queue'], 'readwrite', (store) => { store.add({ ...item, queued_at: new Date().toISOString() }) })
+}
+
+export function getQueue() {
+  return transact(['queue'], 'readonly', (store) => promisify(store.getAll()))
+}
+
+export function dequeue(id) {
+  return transact(['queue'], 'readwrite', (store) => { store.delete(id) })
+}
+
+// Point everything stored under a temporary id at the server-assigned conversation
+export function remapConversation(localId, conversation) {
+  return transact(['conversations', 'messages', 'queue'], 'readwrite', async (conversations, messages, queue) => {
+    const local = await promisify(conversations.get(localId))
+    conversations.delete(localId)
+    conversations.put({ ...local, ...conversation })
+    const msgs = await promisify(messages.index('conversation_id').getAll(localId))
+    msgs.forEach(m => messages.put({ ...m, conversation_id: conversation.id }))
+    const items = await promisify(queue.getAll())
+    items.filter(i => i.conversation_id === localId).forEach(i => queue.put({ ...i, conversation_id: conversation.id }))
+  })
+}
+
+export function deleteConversation(conversationId) {
+  return transact(['conversations', 'messages', 'queue'], 'readwrite', async (conversations, messages, queue) => {
+    conversations.delete(conversationId)
+    const msgs = await promisify(messages.index('conversation_id').getAll(conversationId))
+    msgs.forEach(m => messages.delete(m.key))
+    const items = await promisify(queue.getAll())
+    items.filter(i => i.conversation_id === conversationId).forEach(i => queue.delete(i.id))
+  })
+}
+
+export function getAllMessages() {
+  return transact(['messages'], 'readonly', (store) => promisify(store.getAll()))
+}
+
+// Drop every mirrored conversation, message and queued send (another account signed in)
+export function clearLocalData() {
+  return transact(['conversations', 'messages', 'queue'], 'readwrite', (conversations, messages, queue) => {
+    conversations.clear()
+    messages.clear()
+    queue.clear()
+  })
+}
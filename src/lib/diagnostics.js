@@ -0,0 +1,198 @@
+// Probes behind the /test diagnostics page: endpoint latency samples (kept in
+// localStorage so charts survive a reload) and browser capability checks.
+
+import { request, HttpError } from './api'
+import { t } from './i18n'
+
+const HISTORY_KEY = 'roger.diagnostics'
+export const MAX_SAMPLES = 40
+
+export function loadHistory() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HISTORY_KEY) || '{}')
+    return stored && typeof stored === 'object' ? stored : {}
+  } catch {
+    return {}
+  }
+}
+
+export function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history))
+  } catch {}
+}
+
+export function addSample(history, name, sample) {
+  return { ...history, [name]: [...(history[name] || []), sample].slice(-MAX_SAMPLES) }
+}
+
+// Run fn and record how long it took and whether it succeeded
+export async function timed(fn) {
+  const at = new Date().toISOString()
+  const start = performance.now()
+  try {
+    const result = await fn()
+    return { sample: { at, ms: Math.round(performance.now() - start), ok: true }, result }
+  } catch (err) {
+    return {
+      sample: {
+        at,
+        ms: Math.round(performance.now() - start),
+        ok: false,
+        status: err instanceof HttpError ? err.status : undefined,
+        error: err?.message || String(err)
+      },
+      result: null
+    }
+  }
+}
+
+// Time to the end of the reply body, for both streamed and JSON answers
+async function readToEnd(res) {
+  if (!res.body) return res.text()
+  const reader = res.body.getReader()
+  for (;;) {
+    const { done } = await reader.read()
+    if (done) return
+  }
+}
+
+// Probe conversations whose delete has not gone through yet. Chat hides them from the
+// sidebar, and the next probe tries to delete them again.
+const PROBES_KEY = 'roger.diagnosticsProbes'
+
+function loadProbeIds() {
+  try {
+    return JSON.parse(localStorage.getItem(PROBES_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+function saveProbeIds(ids) {
+  try {
+    if (ids.length) localStorage.setItem(PROBES_KEY, JSON.stringify(ids))
+    else localStorage.removeItem(PROBES_KEY)
+  } catch {}
+}
+
+export function withoutProbeConversations(list) {
+  const ids = loadProbeIds()
+  return ids.length ? list.filter(c => !ids.includes(c.id)) : list
+}
+
+// /api/ask needs a conversation; a throwaway one per ping keeps tests out of the sidebar.
+// Resolves with its id.
+export async function createProbeConversation() {
+  loadProbeIds().forEach(deleteProbeConversation)
+  const created = await request('/api/conversations', { method: 'POST', json: { title: t('diagnostics.title') }, retries: 0 })
+  saveProbeIds([...loadProbeIds(), created.id])
+  return created.id
+}
+
+export async function deleteProbeConversation(id) {
+  try {
+    await request(`/api/conversations/${encodeURIComponent(id)}`, { method: 'DELETE', retries: 0 })
+  } catch (err) {
+    // Keep it for another try unless the server says it is gone or never will be deleted
+    if (!(err instanceof HttpError && err.isClientError && err.status !== 429)) return
+  }
+  saveProbeIds(loadProbeIds().filter(p => p !== id))
+}
+
+async function ping(conversationId) {
+  const res = await request('/api/ask', {
+    method: 'POST',
+    json: { message: 'Diagnostics ping: reply with "pong".', conversation_id: conversationId },
+    timeout: 30000,
+    retries: 0,
+    raw: true
+  })
+  await readToEnd(res)
+}
+
+// Reads skip the service worker's cache so the timings are the backend's
+export const probes = {
+  conversations: () => request('/api/conversations', { retries: 0, cache: 'no-store' }),
+  messages: (conversationId) => request(`/api/conversations/${encodeURIComponent(conversationId)}/messages`, { retries: 0, cache: 'no-store' }),
+  ask: (conversationId) => ping(conversationId),
+}
+
+export function summarize(samples = []) {
+  const ok = samples.filter(s => s.ok).map(s => s.ms).sort((a, b) => a - b)
+  if (ok.length === 0) return { count: samples.length, failures: samples.length }
+  const pick = (q) => ok[Math.min(ok.length - 1, Math.floor(q * ok.length))]
+  return {
+    count: samples.length,
+    failures: samples.length - ok.length,
+    min: ok[0],
+    avg: Math.round(ok.reduce((a, b) => a + b, 0) / ok.length),
+    p95: pick(0.95),
+    max: ok[ok.length - 1],
+  }
+}
+
+function waitForVoices(timeout = 1500) {
+  return new Promise((resolve) => {
+    const synth = window.speechSynthesis
+    const voices = synth.getVoices()
+    if (voices.length > 0) {
+      resolve(voices)
+      return
+    }
+    const done = () => {
+      clearTimeout(timer)
+      synth.removeEventListener?.('voiceschanged', done)
+      resolve(synth.getVoices())
+    }
+    const timer = setTimeout(done, timeout)
+    synth.addEventListener?.('voiceschanged', done)
+  })
+}
+
+async function permissionState(name) {
+  try {
+    if (!navigator.permissions?.query) return 'unsupported'
+    return (await navigator.permissions.query({ name })).state
+  } catch {
+    return 'unsupported'
+  }
+}
+
+function checkIndexedDB() {
+  return new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve({ ok: false, detail: t('capability.notAvailable') })
+      return
+    }
+    const name = 'roger-diagnostics'
+    const req = indexedDB.open(name)
+    req.onsuccess = () => {
+      req.result.close()
+      indexedDB.deleteDatabase(name)
+      resolve({ ok: true, detail: t('capability.available') })
+    }
+    req.onerror = () => resolve({ ok: false, detail: req.error?.message || t('capability.indexedDBFailed') })
+  })
+}
+
+// Each check resolves to { ok, detail }; `ok: null` means "not determined"
+export async function checkCapabilities() {
+  const recognition = !!(window.SpeechRecognition || window.webkitSpeechRecognition)
+  const synthesis = 'speechSynthesis' in window
+  const voices = synthesis ? await waitForVoices() : []
+  const mic = await permissionState('microphone')
+  const clipboardWrite = await permissionState('clipboard-write')
+
+  return {
+    speechRecognition: { ok: recognition, detail: recognition ? (window.SpeechRecognition ? 'SpeechRecognition' : 'webkitSpeechRecognition') : t('capability.notSupported') },
+    speechSynthesis: { ok: synthesis && voices.length > 0, detail: synthesis ? t('capability.voices', { count: voices.length }) : t('capability.notSupported') },
+    microphone: { ok: mic === 'granted' ? true : mic === 'denied' ? false : null, detail: mic },
+    indexedDB: await checkIndexedDB(),
+    clipboard: {
+      ok: !!navigator.clipboard?.writeText && clipboardWrite !== 'denied',
+      detail: navigator.clipboard?.writeText ? t('capability.clipboard', { permission: clipboardWrite }) : t('capability.notAvailable')
+    },
+    secureContext: { ok: window.isSecureContext, detail: window.isSecureContext ? t('capability.secure') : t('capability.insecure') },
+  }
+}
@@ -0,0 +1,112 @@
+// UI translations. Message catalogs live in src/locales, one flat key → string map per
+// locale, with {name} placeholders and _one/_other plural variants. The chosen locale
+// is persisted; otherwise it is detected from the browser. English is the fallback for
+// any missing key.
+
+import en from '../locales/en'
+import es from '../locales/es'
+import ar from '../locales/ar'
+
+const STORAGE_KEY = 'roger.locale'
+
+export const LOCALES = [
+  { id: 'en', label: 'English', dir: 'ltr', speech: 'en-US' },
+  { id: 'es', label: 'Español', dir: 'ltr', speech: 'es-ES' },
+  { id: 'ar', label: 'العربية', dir: 'rtl', speech: 'ar-SA' },
+]
+
+const CATALOGS = { en, es, ar }
+export const DEFAULT_LOCALE = 'en'
+
+const supported = (tag) => {
+  const base = String(tag || '').toLowerCase().split('-')[0]
+  return LOCALES.some(l => l.id === base) ? base : null
+}
+
+export function detectLocale() {
+  try {
+    const stored = supported(localStorage.getItem(STORAGE_KEY))
+    if (stored) return stored
+  } catch {}
+  const preferred = typeof navigator !== 'undefined' ? (navigator.languages?.length ? navigator.languages : [navigator.language]) : []
+  for (const tag of preferred) {
+    const match = supported(tag)
+    if (match) return match
+  }
+  return DEFAULT_LOCALE
+}
+
+let locale = detectLocale()
+const listeners = new Set()
+
+export const getLocale = () => locale
+export const localeInfo = (id = locale) => LOCALES.find(l => l.id === id) || LOCALES[0]
+
+function applyToDocument() {
+  if (typeof document === 'undefined') return
+  document.documentElement.lang = locale
+  document.documentElement.dir = localeInfo().dir
+}
+applyToDocument()
+
+function change(next) {
+  if (next === locale) return
+  locale = next
+  applyToDocument()
+  listeners.forEach(listener => listener())
+}
+
+export function setLocale(id) {
+  const next = supported(id) || DEFAULT_LOCALE
+  try { localStorage.setItem(STORAGE_KEY, next) } catch {}
+  change(next)
+}
+
+export function subscribeLocale(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Switching language in another tab switches this one too
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEY) change(supported(e.newValue) || detectLocale())
+  })
+}
+
+const lookup = (key) => CATALOGS[locale]?.[key] ?? en[key]
+
+// t('sidebar.showArchived', { count: 3 }) picks the plural form for the current locale
+export function t(key, params) {
+  let message
+  if (typeof params?.count === 'number') {
+    const rule = new Intl.PluralRules(locale).select(params.count)
+    message = lookup(`${key}_${rule}`) ?? lookup(`${key}_other`)
+  }
+  message = message ?? lookup(key) ?? key
+  if (!params) return message
+  return message.replace(/\{(\w+)\}/g, (match, name) => name in params ? String(params[name]) : match)
+}
+
+// Sidebar timestamps: time for today, day and month this year, full date otherwise
+export function formatTimestamp(value) {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) return ''
+  const now = new Date()
+  const options = date.toDateString() === now.toDateString()
+    ? { timeStyle: 'short' }
+    : date.getFullYear() === now.getFullYear()
+      ? { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+      : { dateStyle: 'medium' }
+  return new Intl.DateTimeFormat(locale, options).format(date)
+}
+
+export const formatFullDate = (value) => new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short' }).format(new Date(value))
+
+// BCP 47 tag for speech recognition and synthesis in the UI language, keeping the
+// browser's region when it speaks the same language (es-MX rather than es-ES)
+export function speechLang(id = locale) {
+  const preferred = typeof navigator !== 'undefined' ? (navigator.languages || [navigator.language]) : []
+  const regional = preferred.find(tag => tag?.includes('-') && supported(tag) === id)
+  return regional || localeInfo(id).speech
+}
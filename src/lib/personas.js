@@ -0,0 +1,71 @@
+// Persona presets (system prompt, greeting, voice and sampling options), persisted in
+// localStorage. Conversations remember their persona by id; the built-in Roger persona
+// is always present and is used for conversations whose persona was deleted.
+
+import { t } from './i18n'
+
+const STORAGE_KEY = 'roger.personas'
+
+export const DEFAULT_PERSONA_ID = 'roger'
+
+export const DEFAULT_PERSONA = {
+  id: DEFAULT_PERSONA_ID,
+  name: 'Roger',
+  greeting: "Hi! I'm Roger. How can I help today?",
+  system_prompt: '',
+  voiceURI: '', // empty: use the voice settings
+  temperature: null, // null: server default
+  model: '', // empty: server default
+  context_limit: 8000, // estimated tokens before Chat suggests summarizing
+  builtin: true,
+}
+
+const withDefault = (list) => list.some(p => p.id === DEFAULT_PERSONA_ID)
+  ? list.map(p => p.id === DEFAULT_PERSONA_ID ? { ...DEFAULT_PERSONA, ...p, builtin: true } : p)
+  : [DEFAULT_PERSONA, ...list]
+
+export function loadPersonas() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    const list = withDefault(Array.isArray(stored.list) ? stored.list : [])
+    const defaultId = list.some(p => p.id === stored.defaultId) ? stored.defaultId : DEFAULT_PERSONA_ID
+    return { list, defaultId }
+  } catch {
+    return { list: [DEFAULT_PERSONA], defaultId: DEFAULT_PERSONA_ID }
+  }
+}
+
+export function savePersonas(personas) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(personas))
+  } catch {}
+}
+
+export function newPersona() {
+  const id = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+  return { ...DEFAULT_PERSONA, id: `persona-${id}`, name: t('persona.newName'), greeting: t('persona.newGreeting'), builtin: false }
+}
+
+export function findPersona(list, id) {
+  return list.find(p => p.id === id) || list.find(p => p.id === DEFAULT_PERSONA_ID) || DEFAULT_PERSONA
+}
+
+// Personas saved before the limit existed use the default
+export const contextLimitFor = (persona) => persona.context_limit || DEFAULT_PERSONA.context_limit
+
+// The built-in greeting is shown in the UI language until the user rewrites it
+export function greetingFor(persona) {
+  const custom = persona.greeting && persona.greeting !== DEFAULT_PERSONA.greeting
+  return { role: 'assistant', content: custom ? persona.greeting : t('persona.greeting'), greeting: true }
+}
+
+// Fields sent with /api/ask; unset options are left out so the server keeps its defaults
+export function personaPayload(persona) {
+  const payload = { persona: persona.name }
+  if (persona.system_prompt?.trim()) payload.system_prompt = persona.system_prompt.trim()
+  if (typeof persona.temperature === 'number') payload.temperature = persona.temperature
+  if (persona.model?.trim()) payload.model = persona.model.trim()
+  return payload
+}
@@ -0,0 +1,46 @@
+// Page side of the service worker (src/sw.js): registration in production builds,
+// Background Sync for the offline queue, and clearing the cached API reads.
+// Cache and tag names are shared with the worker.
+
+const API_CACHE = 'roger-api'
+const QUEUE_SYNC_TAG = 'roger-ask-queue'
+
+const supported = () => typeof navigator !== 'undefined' && 'serviceWorker' in navigator
+
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !supported()) return
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(() => {})
+  })
+}
+
+// Ask the browser to fire a sync event once it is back online; browsers without
+// Background Sync rely on the app's own reconnect handling
+export async function requestQueueSync() {
+  if (!supported()) return
+  try {
+    const registration = await navigator.serviceWorker.getRegistration()
+    await registration?.sync?.register(QUEUE_SYNC_TAG)
+  } catch {}
+}
+
+// `flush` replays the queue and resolves true when nothing is left in it; the answer
+// tells the worker whether the browser should try the sync again later
+export function onQueueSyncRequest(flush) {
+  if (!supported()) return () => {}
+  const onMessage = async (e) => {
+    if (e.data?.type !== 'flush-queue') return
+    let ok = false
+    try { ok = await flush() } catch {}
+    e.ports[0]?.postMessage({ ok })
+  }
+  navigator.serviceWorker.addEventListener('message', onMessage)
+  return () => navigator.serviceWorker.removeEventListener('message', onMessage)
+}
+
+// Cached conversation reads belong to one account, like the IndexedDB mirror
+export async function clearCachedResponses() {
+  try {
+    await caches?.delete(API_CACHE)
+  } catch {}
+}
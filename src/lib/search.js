@@ -0,0 +1,96 @@
+// Conversation search: the backend's /api/search when it exists, otherwise the
+// messages mirrored in IndexedDB. Both paths resolve to the same result shape:
+// { conversation_id, title, message_index, role, snippet } — message_index is null for title hits.
+import { getConversations, getAllMessages } from './db'
+import { api, HttpError } from './api'
+
+const SNIPPET_RADIUS = 60
+const MAX_RESULTS = 50
+
+// Set once the backend answers 404/405 so we stop asking for the rest of the session
+let remoteUnsupported = false
+
+export function searchTerms(query) {
+  return query.toLowerCase().split(/\s+/).filter(Boolean)
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export function termsPattern(terms) {
+  return terms.length ? new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi') : null
+}
+
+export function makeSnippet(text, terms) {
+  const flat = (text || '').replace(/\s+/g, ' ').trim()
+  const lower = flat.toLowerCase()
+  const hit = terms.reduce((first, t) => {
+    const i = lower.indexOf(t)
+    return i !== -1 && (first === -1 || i < first) ? i : first
+  }, -1)
+  if (hit === -1) return flat.slice(0, SNIPPET_RADIUS * 2)
+  const start = Math.max(0, hit - SNIPPET_RADIUS)
+  const end = Math.min(flat.length, hit + SNIPPET_RADIUS)
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`
+}
+
+const matchesAll = (text, terms) => {
+  const lower = (text || '').toLowerCase()
+  return terms.every(t => lower.includes(t))
+}
+
+export async function searchLocal(query, fallbackConversations = []) {
+  const terms = searchTerms(query)
+  if (!terms.length) return []
+  const conversations = await getConversations().catch(() => fallbackConversations)
+  const messages = await getAllMessages().catch(() => [])
+  const titles = Object.fromEntries(conversations.map(c => [c.id, c.title]))
+
+  const results = conversations
+    .filter(c => matchesAll(c.title, terms))
+    .map(c => ({ conversation_id: c.id, title: c.title, message_index: null, role: null, snippet: c.title || '' }))
+
+  const indexes = {}
+  for (const m of messages) {
+    const index = indexes[m.conversation_id] ?? 0
+    indexes[m.conversation_id] = index + 1
+    if (!(m.conversation_id in titles) || !matchesAll(m.content, terms)) continue
+    results.push({
+      conversation_id: m.conversation_id,
+      title: titles[m.conversation_id],
+      message_index: index,
+      role: m.role,
+      snippet: makeSnippet(m.content, terms)
+    })
+    if (results.length >= MAX_RESULTS) break
+  }
+  return results
+}
+
+export async function searchRemote(query, signal) {
+  let data
+  try {
+    data = await api.get(`/api/search?q=${encodeURIComponent(query)}`, { signal, retries: 0 })
+  } catch (err) {
+    if (err instanceof HttpError && (err.status === 404 || err.status === 405)) remoteUnsupported = true
+    throw err
+  }
+  const terms = searchTerms(query)
+  return (Array.isArray(data) ? data : data.results || []).slice(0, MAX_RESULTS).map(r => ({
+    conversation_id: r.conversation_id,
+    title: r.title,
+    message_index: r.message_index ?? null,
+    role: r.role ?? null,
+    snippet: r.snippet || makeSnippet(r.content || r.title, terms)
+  }))
+}
+
+export async function searchConversations(query, { online, conversations, signal } = {}) {
+  if (online && !remoteUnsupported) {
+    try {
+      return await searchRemote(query, signal)
+    } catch (e) {
+      if (e?.name === 'AbortError') throw e
+    }
+  }
+  return searchLocal(query, conversations)
+}
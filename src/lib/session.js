@@ -0,0 +1,68 @@
+// The signed-in user's tokens, persisted in localStorage so a reload stays signed in.
+// Kept free of network code so both the API client and the UI can depend on it.
+
+const SESSION_KEY = 'roger.session'
+
+let session = load()
+let endReason = null
+const listeners = new Set()
+
+function load() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SESSION_KEY))
+    return stored?.access_token ? stored : null
+  } catch {
+    return null
+  }
+}
+
+function emit() {
+  listeners.forEach(listener => listener())
+}
+
+export function getSession() {
+  return session
+}
+
+// Why the last session ended: 'expired' when the server stopped accepting it, 'signed-out' otherwise
+export function getSessionEndReason() {
+  return endReason
+}
+
+// Accepts the token response from login/register/refresh; fields it lacks are carried over
+export function setSession(data) {
+  const expiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : null
+  session = {
+    access_token: data.access_token,
+    refresh_token: data.refresh_token ?? session?.refresh_token ?? null,
+    expires_at: expiresAt,
+    user: data.user ?? session?.user ?? null,
+  }
+  endReason = null
+  try { localStorage.setItem(SESSION_KEY, JSON.stringify(session)) } catch {}
+  emit()
+}
+
+export function clearSession(reason = 'signed-out') {
+  if (!session) return
+  session = null
+  endReason = reason
+  try { localStorage.removeItem(SESSION_KEY) } catch {}
+  emit()
+}
+
+export function subscribeSession(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Another tab signing in or out changes the stored session under us
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key !== SESSION_KEY) return
+    const next = load()
+    if (!next && session) endReason = 'signed-out'
+    session = next
+    emit()
+  })
+}
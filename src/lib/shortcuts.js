@@ -0,0 +1,48 @@
+// Global keyboard shortcuts for Chat. "Mod" is ⌘ on Apple platforms and Ctrl elsewhere.
+// Letter shortcuts match on e.code so Option/Alt combinations work on macOS layouts.
+// Descriptions are the shortcuts.<id> catalog keys.
+
+export const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform)
+
+export const SHORTCUTS = [
+  { id: 'search', keys: ['Mod', 'K'] },
+  { id: 'new', keys: ['Mod', 'Shift', 'O'] },
+  { id: 'previous', keys: ['Alt', '↑'] },
+  { id: 'next', keys: ['Alt', '↓'] },
+  { id: 'composer', keys: ['Shift', 'Esc'] },
+  { id: 'mic', keys: ['Alt', 'M'] },
+  { id: 'help', keys: ['?'] },
+]
+
+const KEY_LABELS = isMac
+  ? { Mod: '⌘', Shift: '⇧', Alt: '⌥', Esc: 'Esc' }
+  : { Mod: 'Ctrl', Shift: 'Shift', Alt: 'Alt', Esc: 'Esc' }
+
+export const keyLabel = (key) => KEY_LABELS[key] || key
+
+// aria-keyshortcuts value, e.g. "Control+Shift+O"
+export function ariaKeys(id) {
+  const shortcut = SHORTCUTS.find(s => s.id === id)
+  if (!shortcut) return undefined
+  const names = { Mod: isMac ? 'Meta' : 'Control', Esc: 'Escape', '↑': 'ArrowUp', '↓': 'ArrowDown' }
+  return shortcut.keys.map(k => names[k] || k).join('+')
+}
+
+const isEditable = (el) => !!el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))
+
+// The shortcut id a keydown event triggers, or null
+export function matchShortcut(e) {
+  const mod = isMac ? e.metaKey : e.ctrlKey
+  if (mod && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') return 'search'
+  if (mod && e.shiftKey && !e.altKey && e.code === 'KeyO') return 'new'
+  if (mod && !e.shiftKey && e.key === '/') return 'help'
+  if (e.altKey && !mod && !e.shiftKey) {
+    if (e.key === 'ArrowUp') return 'previous'
+    if (e.key === 'ArrowDown') return 'next'
+    if (e.code === 'KeyM') return 'mic'
+  }
+  if (e.shiftKey && !mod && !e.altKey && e.key === 'Escape') return 'composer'
+  // "?" would otherwise be typed into the composer
+  if (e.key === '?' && !mod && !e.altKey && !isEditable(e.target)) return 'help'
+  return null
+}
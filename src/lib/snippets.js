@@ -0,0 +1,54 @@
+// Saved prompt snippets, inserted by typing /name in the composer and persisted in
+// localStorage. {{placeholder}} markers in the text are filled in before insertion.
+
+import { t } from './i18n'
+
+const STORAGE_KEY = 'roger.snippets'
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g
+
+const newId = () => typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+
+// A few examples for first-time users, written in the UI language of the first visit
+const starterSnippets = () => ['explain', 'translate', 'review'].map(name => ({
+  id: `snippet-${name}`,
+  name,
+  text: t(`snippets.starter.${name}`),
+}))
+
+export function loadSnippets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+    return Array.isArray(stored) ? stored : starterSnippets()
+  } catch {
+    return starterSnippets()
+  }
+}
+
+export function saveSnippets(snippets) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(snippets))
+  } catch {}
+}
+
+export const newSnippet = () => ({ id: `snippet-${newId()}`, name: t('snippets.newName'), text: '' })
+
+// Command names are typed after the slash, so they are kept to a single word
+export const commandName = (name) => name.trim().replace(/^\/+/, '').replace(/\s+/g, '-')
+
+// Snippets whose name starts with the query first, then those that merely contain it
+export function matchSnippets(snippets, query) {
+  const q = query.toLowerCase()
+  const named = snippets.filter(s => s.name)
+  const starts = named.filter(s => s.name.toLowerCase().startsWith(q))
+  const contains = named.filter(s => !s.name.toLowerCase().startsWith(q) && s.name.toLowerCase().includes(q))
+  return [...starts, ...contains]
+}
+
+// Distinct placeholder names, in order of first appearance
+export const placeholdersIn = (text) => [...new Set([...text.matchAll(PLACEHOLDER)].map(m => m[1]))]
+
+export const fillSnippet = (text, values) =>
+  text.replace(PLACEHOLDER, (match, name) => values[name] ?? match)
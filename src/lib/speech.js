@@ -0,0 +1,58 @@
+// Text preparation for speech synthesis: Markdown is reduced to plain prose and
+// split into sentence-sized chunks, since Chrome silently truncates long utterances.
+
+const MAX_CHUNK = 220
+
+export function toSpeakableText(markdown) {
+  return (markdown || '')
+    .replace(/```[\s\S]*?```/g, '\n(code block)\n')
+    .replace(/\$\$[\s\S]*?\$\$/g, '(formula)')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+    .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+    .replace(/^[ \t]*([-*+]|\d+[.)])[ \t]+/gm, '')
+    .replace(/^[ \t]*\|?[ \t:-]+\|[ \t|:-]*$/gm, '')
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__|\*|_|~~)(?=\S)([\s\S]*?\S)\1/g, '$2')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+function sentenceBounds(text) {
+  if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+    const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' })
+    return [...segmenter.segment(text)].map(s => s.segment)
+  }
+  return text.match(/[^.!?\n]+(?:[.!?]+|\n+|$)\s*/g) || [text]
+}
+
+// Break an over-long sentence at commas or spaces
+function splitLong(sentence) {
+  const parts = []
+  let rest = sentence
+  while (rest.length > MAX_CHUNK) {
+    const window = rest.slice(0, MAX_CHUNK)
+    const cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '))
+    const at = cut > MAX_CHUNK / 2 ? cut + 2 : (window.lastIndexOf(' ') > 0 ? window.lastIndexOf(' ') + 1 : MAX_CHUNK)
+    parts.push(rest.slice(0, at))
+    rest = rest.slice(at)
+  }
+  if (rest) parts.push(rest)
+  return parts
+}
+
+// Contiguous chunks covering the whole text. `speak` is the trimmed text handed to
+// the synthesizer; `offset` maps its boundary char indexes back into `text`.
+export function splitSentences(text) {
+  const chunks = []
+  sentenceBounds(text).flatMap(splitLong).forEach(chunk => {
+    // Whitespace-only pieces stay attached to the previous chunk so rendering stays contiguous
+    if (!chunk.trim() && chunks.length) chunks[chunks.length - 1] += chunk
+    else chunks.push(chunk)
+  })
+  return chunks
+    .map(chunk => ({ text: chunk, speak: chunk.trim(), offset: chunk.length - chunk.trimStart().length }))
+    .filter(chunk => chunk.speak)
+}
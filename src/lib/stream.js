@@ -0,0 +1,57 @@
+// Helpers for consuming a streamed /api/ask reply.
+// The backend may answer with Server-Sent Events, a plain chunked text body,
+// or (older deployments) a single JSON object — callers check isStreamResponse first.
+
+export function isStreamResponse(res) {
+  const type = res.headers.get('content-type') || ''
+  return !!res.body && (type.includes('text/event-stream') || type.includes('text/plain'))
+}
+
+// Pull the text out of one SSE event. Returns null for the [DONE] terminator.
+function parseEvent(raw) {
+  const data = raw
+    .split(/\r?\n/)
+    .filter(line => line.startsWith('data:'))
+    .map(line => line.slice(5).replace(/^ /, ''))
+    .join('\n')
+  if (!data) return ''
+  if (data === '[DONE]') return null
+  let json
+  try {
+    json = JSON.parse(data)
+  } catch {
+    return data
+  }
+  // Plain-text tokens such as "42" or "true" also parse as JSON; only objects are envelopes
+  if (json === null || typeof json !== 'object') return data
+  return json.delta ?? json.content ?? json.token ?? json.text ?? json.reply ?? ''
+}
+
+export async function readTextStream(res, onText) {
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  const sse = (res.headers.get('content-type') || '').includes('text/event-stream')
+  let buffer = ''
+
+  while (true) {
+    const { value, done } = await reader.read()
+    const chunk = done ? decoder.decode() : decoder.decode(value, { stream: true })
+    if (!sse) {
+      if (chunk) onText(chunk)
+      if (done) return
+      continue
+    }
+    buffer += chunk
+    const events = buffer.split(/\r?\n\r?\n/)
+    buffer = done ? '' : events.pop()
+    for (const evt of events) {
+      const text = parseEvent(evt)
+      if (text === null) {
+        try { await reader.cancel() } catch {}
+        return
+      }
+      if (text) onText(text)
+    }
+    if (done) return
+  }
+}
@@ -0,0 +1,105 @@
+// Creates conversations started offline on the server, then replays /api/ask requests
+// queued while offline, in the order they were written.
+import { isLocalId, getConversations, getMessages, getQueue, dequeue, remapConversation, addMessages, updateMessage } from './db'
+import { isStreamResponse, readTextStream } from './stream'
+import { askRequestInit } from './attachments'
+import { api, request, ASK_TIMEOUT, HttpError } from './api'
+import { withTabLock } from './tabs'
+
+let running = null
+
+async function readReply(res) {
+  if (!isStreamResponse(res)) {
+    const data = await res.json()
+    return data.reply
+  }
+  let text = ''
+  await readTextStream(res, (chunk) => { text += chunk })
+  return text
+}
+
+// The server rejected the request outright; sending it again will not help
+const isRejected = (err) => err instanceof HttpError && err.isClientError && err.status !== 429
+
+async function createConversation(local) {
+  // Branches and imports made offline carry their seeded history
+  const seed = (await getMessages(local.id))
+    .filter(m => !m.pending && !m.failed)
+    .map(({ role, content }) => ({ role, content }))
+  const body = { title: local.title, persona_id: local.persona_id }
+  return api.post('/api/conversations', seed.length > 0 ? { ...body, messages: seed } : body)
+}
+
+async function replay({ onRemap } = {}) {
+  const items = await getQueue()
+  const remapped = {}
+  const touched = new Set()
+
+  // Every local conversation, including ones with nothing queued, e.g. an offline import.
+  // Queued items can outlive their conversation's local record, so those count too.
+  const locals = (await getConversations()).filter(c => isLocalId(c.id))
+  items.forEach(item => {
+    if (isLocalId(item.conversation_id) && !locals.some(c => c.id === item.conversation_id)) {
+      locals.push({ id: item.conversation_id })
+    }
+  })
+  for (const local of locals) {
+    let created
+    try {
+      created = await createConversation(local)
+    } catch (err) {
+      if (!isRejected(err)) throw err
+      // Left local: its queued messages fail below, and the next sync tries again
+      continue
+    }
+    await remapConversation(local.id, created)
+    onRemap?.(local.id, created)
+    remapped[local.id] = created.id
+    touched.add(created.id)
+  }
+
+  const fail = async (item, conversationId) => {
+    await updateMessage(item.client_id, { pending: false, failed: true })
+    await dequeue(item.id)
+    touched.add(conversationId)
+  }
+
+  for (const item of items) {
+    const conversationId = remapped[item.conversation_id] || item.conversation_id
+    if (isLocalId(conversationId)) {
+      await fail(item, conversationId)
+      continue
+    }
+
+    let res
+    try {
+      res = await request('/api/ask', {
+        method: 'POST',
+        // The client id lets the server drop a replay it already answered
+        ...askRequestInit({ ...item.extra, message: item.message, conversation_id: conversationId, client_id: item.client_id }, item.files),
+        timeout: ASK_TIMEOUT,
+        raw: true
+      })
+    } catch (err) {
+      if (!isRejected(err)) throw err
+      await fail(item, conversationId)
+      continue
+    }
+    const reply = await readReply(res)
+    await updateMessage(item.client_id, { pending: false })
+    await addMessages(conversationId, [{ role: 'assistant', content: reply }])
+    await dequeue(item.id)
+    touched.add(conversationId)
+  }
+
+  return [...touched]
+}
+
+// Resolves with the ids of conversations that were created or received replies. Concurrent
+// calls share one run, and other tabs wait for it instead of sending the same items again.
+export function flushQueue(options) {
+  if (!running) {
+    running = withTabLock('roger-queue', () => replay(options)).finally(() => { running = null })
+  }
+  return running
+}
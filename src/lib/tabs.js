@@ -0,0 +1,94 @@
+// Coordination between Roger tabs open at the same time. A BroadcastChannel carries
+// conversation and message changes, Web Locks keep one-tab-at-a-time work (startup,
+// queue replay) from running twice, and a lock decides which tab owns the microphone
+// and speech synthesis. Browsers without these APIs behave as if each tab were alone.
+
+const CHANNEL = 'roger'
+const MEDIA_LOCK = 'roger-media'
+
+const tabId = typeof crypto !== 'undefined' && crypto.randomUUID
+  ? crypto.randomUUID()
+  : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`
+
+let channel = null
+const handlers = new Set()
+
+function getChannel() {
+  if (channel || typeof BroadcastChannel === 'undefined') return channel
+  channel = new BroadcastChannel(CHANNEL)
+  channel.onmessage = (e) => {
+    if (e.data?.from !== tabId) handlers.forEach(handler => handler(e.data))
+  }
+  return channel
+}
+
+// Tell the other tabs about a change; `payload` must survive structured cloning
+export function broadcast(type, payload = {}) {
+  try {
+    getChannel()?.postMessage({ ...payload, type, from: tabId })
+  } catch {}
+}
+
+export function onBroadcast(handler) {
+  getChannel()
+  handlers.add(handler)
+  return () => handlers.delete(handler)
+}
+
+const locksSupported = () => typeof navigator !== 'undefined' && Boolean(navigator.locks)
+
+// Run `fn` while no other tab runs work under the same name
+export function withTabLock(name, fn) {
+  return locksSupported() ? navigator.locks.request(name, () => fn()) : fn()
+}
+
+// The media owner holds MEDIA_LOCK until it is done with it, the tab closes or another
+// tab steals it
+let ownsMedia = !locksSupported()
+let claiming = null
+let release = null
+const mediaListeners = new Set()
+
+function holdMedia(options) {
+  if (ownsMedia) return Promise.resolve(true)
+  if (claiming && !options.steal) return claiming
+  claiming = new Promise(acquired => {
+    navigator.locks.request(MEDIA_LOCK, options, (lock) => {
+      if (!lock) {
+        acquired(false)
+        return
+      }
+      ownsMedia = true
+      acquired(true)
+      return new Promise(resolve => { release = resolve })
+    }).catch(() => {
+      // Stolen by another tab
+      ownsMedia = false
+      release = null
+      mediaListeners.forEach(listener => listener())
+    })
+  }).finally(() => { claiming = null })
+  return claiming
+}
+
+export const isMediaOwner = () => ownsMedia
+
+// Take the microphone and speech synthesis from whichever tab has them
+export const claimMedia = () => holdMedia({ steal: true })
+
+// Take them only if no tab is using them
+export const claimFreeMedia = () => holdMedia({ ifAvailable: true })
+
+// Let other tabs use the microphone and speech synthesis without stealing them
+export function releaseMedia() {
+  if (!release) return
+  release()
+  release = null
+  ownsMedia = false
+}
+
+// `listener` runs when another tab claims the microphone and speech synthesis
+export function onMediaLost(listener) {
+  mediaListeners.add(listener)
+  return () => mediaListeners.delete(listener)
+}
@@ -0,0 +1,31 @@
+// Rough token counts for the composer and the context meter. The model's tokenizer
+// isn't available in the browser, so this goes by characters: about four per token
+// for most scripts, one per character for CJK, plus a little framing per message.
+
+const CHARS_PER_TOKEN = 4
+const MESSAGE_OVERHEAD = 4
+const WARN_RATIO = 0.8
+
+const WIDE = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g
+
+export function estimateTokens(text) {
+  if (!text) return 0
+  const wide = text.match(WIDE)?.length ?? 0
+  return Math.ceil((text.length - wide) / CHARS_PER_TOKEN) + wide
+}
+
+// What the model sees for a thread: the system prompt and every stored message. The
+// greeting is UI only. `olderCount` messages haven't been paged in yet and are
+// assumed to be the same size as the loaded ones on average.
+export function estimateThreadTokens(messages, { systemPrompt = '', olderCount = 0 } = {}) {
+  const sent = messages.filter(m => !m.greeting)
+  const loaded = sent.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD, 0)
+  const older = sent.length > 0 ? Math.round((olderCount * loaded) / sent.length) : 0
+  return estimateTokens(systemPrompt) + loaded + older
+}
+
+// 'ok', 'near' (past the warning threshold) or 'over' the limit
+export function contextLevel(tokens, limit) {
+  if (!limit || tokens < limit * WARN_RATIO) return 'ok'
+  return tokens >= limit ? 'over' : 'near'
+}
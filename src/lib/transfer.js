@@ -0,0 +1,82 @@
+// Conversation export (Markdown, versioned JSON) and JSON import.
+// The JSON format is { format, version, exported_at, conversations: [{ title, created_at, last_message_at, messages: [{ role, content, created_at }] }] }.
+
+import { getLocale, t } from './i18n'
+
+export const EXPORT_FORMAT = 'roger-conversations'
+export const EXPORT_VERSION = 1
+
+const ROLES = ['user', 'assistant', 'system']
+
+const messageTime = (m) => m.created_at || m.timestamp || null
+
+const cleanMessages = (messages) => messages
+  .filter(m => !m.greeting && !m.pending)
+  .map(m => ({ role: m.role, content: m.content, created_at: messageTime(m) }))
+
+export function toMarkdown(entries) {
+  return entries.map(({ conversation, messages }) => {
+    const lines = [`# ${conversation.title || t('conversation.untitled')}`, '']
+    if (conversation.last_message_at) {
+      lines.push(`_${t('transfer.lastUpdated', { date: new Date(conversation.last_message_at).toLocaleString(getLocale()) })}_`, '')
+    }
+    cleanMessages(messages).forEach(m => {
+      const who = t(m.role === 'user' ? 'transfer.you' : m.role === 'assistant' ? 'transfer.assistant' : 'transfer.system')
+      const when = m.created_at ? ` · ${new Date(m.created_at).toLocaleString(getLocale())}` : ''
+      lines.push(`**${who}**${when}`, '', m.content, '')
+    })
+    return lines.join('\n')
+  }).join('\n---\n\n')
+}
+
+export function toJSON(entries) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    conversations: entries.map(({ conversation, messages }) => ({
+      title: conversation.title || t('conversation.untitled'),
+      created_at: conversation.created_at || null,
+      last_message_at: conversation.last_message_at || null,
+      messages: cleanMessages(messages)
+    }))
+  }, null, 2)
+}
+
+// Validate an exported file; resolves to its conversations or throws with a readable message
+export function parseImport(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error(t('transfer.invalidJson'))
+  }
+  if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.conversations)) {
+    throw new Error(t('transfer.notExport'))
+  }
+  if (typeof data.version !== 'number' || data.version > EXPORT_VERSION) {
+    throw new Error(t('transfer.unsupportedVersion', { version: data.version }))
+  }
+  return data.conversations.map(c => ({
+    title: typeof c.title === 'string' && c.title.trim() ? c.title.trim() : t('transfer.importedTitle'),
+    messages: (Array.isArray(c.messages) ? c.messages : [])
+      .filter(m => ROLES.includes(m?.role) && typeof m.content === 'string')
+      .map(m => ({ role: m.role, content: m.content, created_at: m.created_at || null }))
+  }))
+}
+
+export function exportFilename(title, ext) {
+  const slug = (title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60)
+  return `${slug || 'conversation'}.${ext}`
+}
+
+export function download(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
@@ -0,0 +1,73 @@
+// Speech synthesis / recognition preferences, persisted in localStorage.
+// Empty languages mean "the UI language" (see speechLang in i18n.js).
+
+import { getLocale } from './i18n'
+
+const STORAGE_KEY = 'roger.voiceSettings'
+
+export const DEFAULT_VOICE_SETTINGS = {
+  voiceURI: '', // empty: pick automatically
+  lang: '', // synthesis language filter; empty: the UI language
+  rate: 1,
+  pitch: 1,
+  volume: 1,
+  recognitionLang: '', // empty: the UI language
+}
+
+export const RECOGNITION_LANGS = [
+  'en-US', 'en-GB', 'en-IN', 'es-ES', 'es-MX', 'fr-FR', 'de-DE', 'it-IT', 'pt-BR', 'pt-PT',
+  'nl-NL', 'pl-PL', 'sv-SE', 'tr-TR', 'ru-RU', 'uk-UA', 'ar-SA', 'he-IL', 'hi-IN', 'ja-JP',
+  'ko-KR', 'zh-CN', 'zh-TW',
+]
+
+export function loadVoiceSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return { ...DEFAULT_VOICE_SETTINGS, ...stored }
+  } catch {
+    return { ...DEFAULT_VOICE_SETTINGS }
+  }
+}
+
+export function saveVoiceSettings(settings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch {}
+}
+
+export function languageLabel(tag) {
+  try {
+    const names = new Intl.DisplayNames([getLocale()], { type: 'language' })
+    return `${names.of(tag)} (${tag})`
+  } catch {
+    return tag
+  }
+}
+
+export const voiceMatchesLang = (voiceLang, lang) => voiceLang.replace('_', '-').toLowerCase().startsWith(lang.toLowerCase())
+
+export function pickVoice(voices, settings) {
+  if (settings.voiceURI) {
+    const chosen = voices.find(v => v.voiceURI === settings.voiceURI)
+    if (chosen) return chosen
+  }
+  if (settings.lang) {
+    const inLang = voices.filter(v => voiceMatchesLang(v.lang, settings.lang))
+    if (inLang.length) return inLang.find(v => /Female|Google|Natural/i.test(v.name)) || inLang[0]
+  }
+  return voices.find(v => /en-US|en_GB/i.test(v.lang) && /Female|Google|Natural|Roger/i.test(v.name)) || voices[0]
+}
+
+export function configureUtterance(utter, voices, settings) {
+  const voice = pickVoice(voices, settings)
+  if (voice) {
+    utter.voice = voice
+    utter.lang = voice.lang
+  } else if (settings.lang) {
+    utter.lang = settings.lang
+  }
+  utter.rate = settings.rate
+  utter.pitch = settings.pitch
+  utter.volume = settings.volume
+  return utter
+}
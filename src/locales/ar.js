@@ -0,0 +1,374 @@
+// Arabic UI strings (right-to-left). Missing keys fall back to en.js. Arabic has six
+// plural categories; any that are missing fall back to _other.
+
+export default {
+  'common.cancel': 'إلغاء',
+  'common.copied': 'تم النسخ',
+  'common.copy': 'نسخ',
+  'common.delete': 'حذف',
+  'common.dismiss': 'إغلاق',
+  'common.done': 'تم',
+  'common.resetDefaults': 'استعادة الإعدادات الافتراضية',
+  'common.retry': 'إعادة المحاولة',
+
+  'status.connected': 'متصل',
+  'status.offline': 'غير متصل',
+  'status.connectionRestored': 'عاد الاتصال.',
+  'status.connectionLost': 'انقطع الاتصال. سيتم إرسال الرسائل عندما يعود Roger إلى الاتصال.',
+  'offline.deviceOffline': 'أنت غير متصل. لا تزال المحادثات المحفوظة متاحة، وسيتم إرسال الرسائل الجديدة عند عودة الاتصال.',
+  'offline.serverUnreachable': 'تعذّر الوصول إلى Roger حاليًا. لا تزال المحادثات المحفوظة متاحة، وسيتم إرسال الرسائل الجديدة عند عودة الخادم.',
+  'tabs.voiceMoved': 'انتقل الصوت إلى علامة تبويب أخرى لـ Roger.',
+
+  'conversation.untitled': 'محادثة',
+  'conversation.new': 'محادثة جديدة',
+  'conversation.newShort': 'جديدة',
+  'conversation.newWithPersona': 'محادثة جديدة بشخصية',
+  'conversation.branchTitle': '{title} (فرع)',
+
+  'notFound.title': 'المحادثة غير موجودة',
+  'notFound.body': 'يشير هذا الرابط إلى محادثة غير موجودة أو تم حذفها.',
+  'notFound.openLatest': 'فتح الأحدث',
+
+  'sidebar.title': 'المحادثات',
+  'sidebar.open': 'فتح المحادثات',
+  'sidebar.close': 'إغلاق المحادثات',
+  'sidebar.empty': 'لا توجد محادثات بعد',
+  'sidebar.pinned': 'مثبتة',
+  'sidebar.actionsFor': 'إجراءات {title}',
+  'sidebar.rename': 'إعادة التسمية',
+  'sidebar.pin': 'تثبيت',
+  'sidebar.unpin': 'إلغاء التثبيت',
+  'sidebar.archive': 'أرشفة',
+  'sidebar.unarchive': 'إلغاء الأرشفة',
+  'sidebar.export': 'تصدير…',
+  'sidebar.print': 'طباعة / PDF',
+  'sidebar.showArchived_zero': 'عرض المؤرشفة ({count})',
+  'sidebar.showArchived_one': 'عرض المؤرشفة ({count})',
+  'sidebar.showArchived_other': 'عرض المؤرشفة ({count})',
+  'sidebar.hideArchived': 'إخفاء المؤرشفة',
+  'sidebar.deleteTitle': 'حذف المحادثة؟',
+  'sidebar.deleteBody': 'سيتم حذف «{title}» وجميع رسائلها نهائيًا.',
+
+  'search.button': 'بحث…',
+  'search.title': 'البحث في المحادثات',
+  'search.description': 'ابحث في عناوين المحادثات ورسائلها',
+  'search.placeholder': 'ابحث في المحادثات والرسائل...',
+  'search.noMatches': 'لا توجد نتائج',
+  'search.you': 'أنت',
+  'search.assistant': 'Roger',
+
+  'transfer.import': 'استيراد…',
+  'transfer.exportAll': 'تصدير الكل…',
+  'transfer.importFailed': 'فشل الاستيراد: {error}',
+  'transfer.you': 'أنت',
+  'transfer.assistant': 'Roger',
+  'transfer.system': 'النظام',
+  'transfer.lastUpdated': 'آخر تحديث {date}',
+  'transfer.importedTitle': 'محادثة مستوردة',
+  'transfer.invalidJson': 'الملف ليس بصيغة JSON صالحة.',
+  'transfer.notExport': 'هذا ليس ملف تصدير لمحادثات Roger.',
+  'transfer.unsupportedVersion': 'إصدار التصدير غير مدعوم: {version}.',
+
+  'account.signedIn': 'تم تسجيل الدخول',
+  'account.signOut': 'تسجيل الخروج',
+
+  'persona.title': 'الشخصية',
+  'persona.greeting': 'مرحبًا! أنا Roger. كيف يمكنني مساعدتك اليوم؟',
+  'persona.newName': 'شخصية جديدة',
+  'persona.newGreeting': 'مرحبًا! كيف يمكنني مساعدتك اليوم؟',
+  'persona.untitled': 'بلا عنوان',
+  'persona.startWith': 'البدء بشخصية',
+  'persona.manage': 'إدارة الشخصيات…',
+  'persona.dialogTitle': 'الشخصيات',
+  'persona.dialogDescription': 'إعدادات مسبقة لطريقة تصرف Roger. اختر واحدة عند بدء محادثة.',
+  'persona.add': '+ شخصية جديدة',
+  'persona.isDefault': 'تُستخدم للمحادثات الجديدة',
+  'persona.makeDefault': 'استخدامها للمحادثات الجديدة',
+  'persona.field.name': 'الاسم',
+  'persona.field.greeting': 'التحية',
+  'persona.field.systemPrompt': 'تعليمات النظام',
+  'persona.field.systemPromptPlaceholder': 'كيف يجب أن تتصرف هذه الشخصية، مثل «أنت مراجع شيفرة موجز».',
+  'persona.field.voice': 'الصوت',
+  'persona.field.voiceDefault': 'استخدام إعدادات الصوت',
+  'persona.field.temperature': 'درجة العشوائية',
+  'persona.field.serverDefault': 'الإعداد الافتراضي للخادم',
+  'persona.field.model': 'النموذج',
+  'persona.field.modelHint': 'يُستخدم فقط إذا كان الخادم يسمح باختيار النموذج.',
+  'persona.field.contextLimit': 'حد السياق (رموز تقديرية)',
+  'persona.field.contextLimitHint': 'ينبّهك Roger عندما تقترب المحادثة من هذا الحجم ويعرض تلخيصها. اجعله مطابقًا لنافذة سياق النموذج.',
+
+  'snippets.title': 'المقتطفات',
+  'snippets.noMatches': 'لا توجد مقتطفات مطابقة',
+  'snippets.manage': 'إدارة المقتطفات…',
+  'snippets.fillTitle': 'إكمال /{name}',
+  'snippets.insert': 'إدراج',
+  'snippets.dialogTitle': 'مقتطفات الرسائل',
+  'snippets.dialogDescription': 'اكتب / في مربع الرسالة لإدراج مقتطف. اكتب {{الاسم}} لحقل تملؤه في كل مرة.',
+  'snippets.add': '+ مقتطف جديد',
+  'snippets.empty': 'لا توجد مقتطفات بعد.',
+  'snippets.newName': 'مقتطف',
+  'snippets.untitled': 'بلا-اسم',
+  'snippets.field.name': 'الأمر',
+  'snippets.field.text': 'النص',
+  'snippets.field.textHint': 'تُطلب الحقول مثل {{الموضوع}} عند استخدام المقتطف.',
+  'snippets.field.placeholders': 'يطلب: {names}',
+  'snippets.starter.explain': 'اشرح {{الموضوع}} كما لو كنت {{الجمهور}}.',
+  'snippets.starter.translate': 'ترجم ما يلي إلى {{اللغة}}:\n\n',
+  'snippets.starter.review': 'راجع شيفرة {{اللغة}} هذه بحثًا عن الأخطاء وسهولة القراءة:\n\n',
+
+  'chat.skipToComposer': 'الانتقال إلى مربع الرسالة',
+  'chat.messages': 'الرسائل',
+  'chat.loadingOlder': 'جارٍ تحميل الرسائل السابقة…',
+  'chat.loadOlder': 'تحميل الرسائل السابقة',
+  'chat.jumpToLatest': 'الانتقال إلى الأحدث',
+  'chat.jumpToLatestLabel': 'الانتقال إلى أحدث رسالة',
+  'chat.composerLabel': 'رسالة إلى Roger',
+  'chat.placeholder': 'اسأل Roger أي شيء...',
+  'chat.composerHint': 'Shift+Enter لسطر جديد · ↑ الرسائل السابقة · / المقتطفات',
+  'context.draft_zero': '~{tokens} رمز',
+  'context.draft_one': '~{tokens} رمز',
+  'context.draft_two': '~{tokens} رمزان',
+  'context.draft_few': '~{tokens} رموز',
+  'context.draft_many': '~{tokens} رمزًا',
+  'context.draft_other': '~{tokens} رمز',
+  'context.thread': '~{used} / {limit} في هذه المحادثة',
+  'context.meterTitle': 'رموز تقديرية. يرى Roger تعليمات النظام للشخصية وكل رسائل المحادثة.',
+  'context.near': 'أصبحت هذه المحادثة طويلة (~{used} من {limit} رمزًا تقديريًا). قد يفقد Roger قريبًا أقدم الرسائل.',
+  'context.over': 'تجاوزت هذه المحادثة حد السياق (~{used} من {limit} رمزًا تقديريًا). قد لا تصل أقدم الرسائل إلى Roger.',
+  'context.summarize': 'لخّص وتابع',
+  'context.summarizing': 'جارٍ التلخيص…',
+  'context.continuedTitle': '{title} (متابعة)',
+  'context.continued': 'تتابع المحادثة في محادثة جديدة مع ملخص لهذه المحادثة.',
+  'context.continuedFrom': 'متابعة لـ «{title}»',
+  'context.continuedIn': 'تتابع في «{title}» ←',
+  'chat.send': 'إرسال',
+  'chat.stop': 'إيقاف',
+  'chat.stopGenerating': 'إيقاف الإنشاء',
+  'chat.replyAnnouncement': 'قال {name}: {text}',
+
+  'message.youSaid': 'قلت:',
+  'message.assistantSaid': 'قال Roger:',
+  'message.summary': 'ملخص المحادثة السابقة',
+  'message.notDelivered': 'لم يتم التسليم',
+  'message.waiting': 'في انتظار الاتصال — سيتم الإرسال تلقائيًا',
+  'message.readAloud': 'القراءة بصوت عالٍ',
+  'message.readFrom': 'القراءة من جملة',
+  'message.previousReply': 'الرد السابق',
+  'message.nextReply': 'الرد التالي',
+  'message.edit': 'تعديل',
+  'message.regenerate': 'إعادة الإنشاء',
+  'message.branch': 'التفريع من هنا',
+  'message.sendAsBranch': 'إرسال كفرع جديد',
+  'message.saveAndResend': 'حفظ وإعادة الإرسال',
+
+  'feedback.good': 'إجابة جيدة',
+  'feedback.bad': 'إجابة سيئة',
+  'feedback.commentUp': 'ما الذي أعجبك؟ (اختياري)',
+  'feedback.commentDown': 'ما الخطأ؟ (اختياري)',
+  'feedback.send': 'إرسال',
+
+  'reading.resume': 'متابعة القراءة',
+  'reading.pause': 'إيقاف القراءة مؤقتًا',
+  'reading.stop': 'إيقاف القراءة',
+  'reading.previous': 'الجملة السابقة',
+  'reading.next': 'الجملة التالية',
+
+  'markdown.code': 'شيفرة',
+
+  'attachments.attach': 'إرفاق ملفات',
+  'attachments.drop': 'أفلت الملفات لإرفاقها',
+  'attachments.remove': 'إزالة {name}',
+  'attachments.someFailed': 'لم يتم إرفاق بعض الملفات — {errors}',
+  'attachments.unsupportedType': '{name}: نوع ملف غير مدعوم',
+  'attachments.tooLarge': '{name}: أكبر من {size}',
+  'attachments.tooMany_zero': '{name}: لا يُسمح بأي مرفق في الرسالة',
+  'attachments.tooMany_one': '{name}: مرفق واحد على الأكثر في كل رسالة',
+  'attachments.tooMany_two': '{name}: مرفقان على الأكثر في كل رسالة',
+  'attachments.tooMany_few': '{name}: {count} مرفقات على الأكثر في كل رسالة',
+  'attachments.tooMany_many': '{name}: {count} مرفقًا على الأكثر في كل رسالة',
+  'attachments.tooMany_other': '{name}: {count} مرفق على الأكثر في كل رسالة',
+
+  'errors.loadOlder': 'تعذّر تحميل الرسائل السابقة. حاول مرة أخرى.',
+  'errors.updateConversation': 'تعذّر تحديث المحادثة. حاول مرة أخرى.',
+  'errors.deleteConversation': 'تعذّر حذف المحادثة. حاول مرة أخرى.',
+  'errors.regenerate': 'تعذّرت إعادة إنشاء الرد. {reason}',
+  'errors.feedback': 'تعذّر إرسال تقييمك. حاول مرة أخرى.',
+  'errors.summarize': 'تعذّر تلخيص المحادثة. {reason}',
+
+  'error.timeout': 'استغرق Roger وقتًا طويلًا للرد.',
+  'error.network': 'تعذّر الوصول إلى الخادم.',
+  'error.sessionExpired': 'انتهت جلستك. سجّل الدخول مرة أخرى.',
+  'error.tooLarge': 'الرسالة أو مرفقاتها كبيرة جدًا.',
+  'error.rateLimited': 'طلبات كثيرة جدًا — انتظر قليلًا ثم أعد المحاولة.',
+  'error.rejected': 'رفض الخادم هذه الرسالة ({status}).',
+  'error.rejectedWithReason': 'رفض الخادم هذه الرسالة: {reason}.',
+  'error.server': 'حدثت مشكلة في الخادم ({status}).',
+  'error.unknown': 'حدث خطأ ما.',
+
+  'voice.toggle': 'الصوت',
+  'voice.readRepliesAloud': 'قراءة الردود بصوت عالٍ',
+  'voice.microphone': 'الميكروفون',
+  'voice.speak': 'تحدّث',
+  'voice.stop': 'إيقاف',
+  'voice.talk': 'محادثة',
+  'voice.talkTitle': 'محادثة بدون استخدام اليدين',
+  'voice.notSupported': 'الصوت غير مدعوم',
+  'voice.endConversationMode': 'إنهاء وضع المحادثة',
+  'voice.phaseLabel': '{phase}. إنهاء وضع المحادثة',
+  'voice.phase.listening': 'يستمع',
+  'voice.phase.thinking': 'يفكر',
+  'voice.phase.speaking': 'يتحدث',
+  'voice.micBlocked': 'إذن الميكروفون محظور. يُرجى السماح بالوصول من إعدادات المتصفح.',
+  'voice.micDenied': 'تم رفض إذن الميكروفون.',
+  'voice.silenceEnded': 'انتهى وضع المحادثة بعد فترة من الصمت.',
+  'voice.recognitionError': 'خطأ في التعرّف على الكلام. حاول مرة أخرى.',
+  'voice.unsupported': 'هذا المتصفح لا يدعم التعرّف على الكلام.',
+  'voice.listening': 'يستمع... تحدّث الآن',
+  'voice.startFailed': 'تعذّر بدء التعرّف على الكلام. تأكد من أن علامة تبويب واحدة فقط تستمع.',
+  'voice.conversationModeOn': 'وضع المحادثة مفعّل — تحدّث فقط. يبقى مفتوحًا حتى توقفه أو تصمت.',
+  'voice.preview': 'مرحبًا، أنا Roger. هكذا يبدو صوتي.',
+  'voice.settings': 'إعدادات الصوت',
+  'voice.settings.description': 'اختر طريقة تحدّث Roger واللغة التي يستمع إليها.',
+  'voice.settings.speech': 'النطق',
+  'voice.settings.language': 'اللغة',
+  'voice.settings.appLanguage': 'مثل التطبيق — {language}',
+  'voice.settings.voice': 'الصوت',
+  'voice.settings.automatic': 'تلقائي',
+  'voice.settings.rate': 'السرعة',
+  'voice.settings.pitch': 'طبقة الصوت',
+  'voice.settings.volume': 'مستوى الصوت',
+  'voice.settings.preview': 'معاينة',
+  'voice.settings.recognition': 'التعرّف على الكلام',
+  'voice.settings.listeningLanguage': 'لغة الاستماع',
+
+  'shortcuts.title': 'اختصارات لوحة المفاتيح',
+  'shortcuts.description': 'يرسل Enter الرسالة، ويضيف Shift+Enter سطرًا جديدًا. يستعيد ↑ الرسائل السابقة، وكتابة / تفتح مقتطفاتك.',
+  'shortcuts.search': 'البحث في المحادثات',
+  'shortcuts.new': 'محادثة جديدة',
+  'shortcuts.previous': 'المحادثة السابقة',
+  'shortcuts.next': 'المحادثة التالية',
+  'shortcuts.composer': 'الانتقال إلى مربع الرسالة',
+  'shortcuts.mic': 'تشغيل الميكروفون أو إيقافه',
+  'shortcuts.help': 'عرض اختصارات لوحة المفاتيح',
+
+  'appearance.title': 'المظهر واللغة',
+  'appearance.description': 'تُحفظ في هذا المتصفح وتُطبّق على كل الصفحات.',
+  'appearance.language': 'اللغة',
+  'appearance.theme': 'السمة',
+  'appearance.theme.system': 'النظام',
+  'appearance.theme.light': 'فاتح',
+  'appearance.theme.dark': 'داكن',
+  'appearance.fontSize': 'حجم النص',
+  'appearance.fontSize.small': 'صغير',
+  'appearance.fontSize.medium': 'متوسط',
+  'appearance.fontSize.large': 'كبير',
+  'appearance.fontSize.larger': 'أكبر',
+  'appearance.density': 'كثافة الرسائل',
+  'appearance.density.compact': 'مضغوطة',
+  'appearance.density.comfortable': 'مريحة',
+  'appearance.density.spacious': 'واسعة',
+  'appearance.highContrast': 'تباين عالٍ',
+  'appearance.highContrastHint': 'نص وحدود أوضح',
+
+  'login.signInTitle': 'تسجيل الدخول إلى Roger',
+  'login.signUpTitle': 'إنشاء حسابك',
+  'login.expired': 'انتهت جلستك. سجّل الدخول مرة أخرى لمتابعة ما كنت تفعله.',
+  'login.name': 'الاسم',
+  'login.email': 'البريد الإلكتروني',
+  'login.password': 'كلمة المرور',
+  'login.wait': 'يُرجى الانتظار…',
+  'login.signIn': 'تسجيل الدخول',
+  'login.signUp': 'إنشاء حساب',
+  'login.newHere': 'جديد على Roger؟',
+  'login.haveAccount': 'لديك حساب بالفعل؟',
+  'login.createAccount': 'إنشاء حساب',
+  'login.incorrect': 'البريد الإلكتروني أو كلمة المرور غير صحيحة.',
+  'login.exists': 'يوجد حساب بهذا البريد الإلكتروني بالفعل.',
+
+  'diagnostics.title': 'التشخيص',
+  'diagnostics.copyReport': 'نسخ تقرير التشخيص',
+  'diagnostics.copied': 'تم النسخ إلى الحافظة',
+  'diagnostics.downloaded': 'الحافظة غير متاحة — تم تنزيل التقرير',
+  'diagnostics.backHome': 'العودة إلى الرئيسية',
+  'diagnostics.backend': 'الخادم',
+  'diagnostics.notSet': '(غير محدد — يُستخدم الافتراضي)',
+  'diagnostics.backendStatus': 'حالة الخادم',
+  'diagnostics.database': 'قاعدة البيانات',
+  'diagnostics.checking': 'جارٍ الفحص...',
+  'diagnostics.checkingDatabase': 'جارٍ فحص قاعدة البيانات...',
+  'diagnostics.connected': 'متصل - {message}',
+  'diagnostics.failed': 'فشل - {message}',
+  'diagnostics.error': 'خطأ - {message}',
+  'diagnostics.backendUnreachable': 'تعذّر الوصول إلى الخادم',
+  'diagnostics.databaseFailed': 'فشل فحص قاعدة البيانات - {message}',
+  'diagnostics.db.backend': 'الخادم:',
+  'diagnostics.db.database': 'قاعدة البيانات:',
+  'diagnostics.db.url': 'عنوان قاعدة البيانات:',
+  'diagnostics.db.name': 'اسم قاعدة البيانات:',
+  'diagnostics.db.connection': 'الاتصال:',
+  'diagnostics.db.collections': 'المجموعات:',
+  'diagnostics.testAgain': 'اختبار مرة أخرى',
+  'diagnostics.latency': 'زمن استجابة نقاط النهاية',
+  'diagnostics.autoRefresh': 'إعادة القياس كل {seconds} ث',
+  'diagnostics.measureReads': 'قياس القراءات',
+  'diagnostics.clearHistory': 'مسح السجل',
+  'diagnostics.noSamples': 'لا توجد عينات بعد',
+  'diagnostics.latencyHistory_zero': 'سجل زمن الاستجابة، لا عينات',
+  'diagnostics.latencyHistory_one': 'سجل زمن الاستجابة، عينة واحدة',
+  'diagnostics.latencyHistory_two': 'سجل زمن الاستجابة، عينتان',
+  'diagnostics.latencyHistory_few': 'سجل زمن الاستجابة، {count} عينات',
+  'diagnostics.latencyHistory_many': 'سجل زمن الاستجابة، {count} عينة',
+  'diagnostics.latencyHistory_other': 'سجل زمن الاستجابة، {count} عينة',
+  'diagnostics.avg': 'المتوسط {ms} مللي ث',
+  'diagnostics.p95': 'p95 {ms} مللي ث',
+  'diagnostics.max': 'الأقصى {ms} مللي ث',
+  'diagnostics.failures': 'فشل {failures}/{count}',
+  'diagnostics.sendTest': 'إرسال رسالة اختبار',
+  'diagnostics.waitingForReply': 'في انتظار الرد…',
+  'diagnostics.sendTestHint': 'يرسل رسالة قصيرة من محادثة مؤقتة تُحذف بعد ذلك.',
+  'diagnostics.needsConversation': 'يتطلب محادثة واحدة على الأقل.',
+  'diagnostics.capabilities': 'إمكانات المتصفح',
+  'diagnostics.recheck': 'إعادة الفحص',
+  'diagnostics.checkingCapabilities': 'جارٍ الفحص…',
+  'diagnostics.capability.speechRecognition': 'التعرّف على الكلام',
+  'diagnostics.capability.speechSynthesis': 'أصوات تحويل النص إلى كلام',
+  'diagnostics.capability.microphone': 'إذن الميكروفون',
+  'diagnostics.capability.indexedDB': 'IndexedDB',
+  'diagnostics.capability.clipboard': 'الحافظة',
+  'diagnostics.capability.secureContext': 'سياق آمن',
+
+  'capability.available': 'متاح',
+  'capability.notAvailable': 'غير متاح',
+  'capability.notSupported': 'غير مدعوم',
+  'capability.indexedDBFailed': 'تعذّر فتح قاعدة بيانات',
+  'capability.voices_zero': 'لا أصوات',
+  'capability.voices_one': 'صوت واحد',
+  'capability.voices_two': 'صوتان',
+  'capability.voices_few': '{count} أصوات',
+  'capability.voices_many': '{count} صوتًا',
+  'capability.voices_other': '{count} صوت',
+  'capability.clipboard': 'writeText متاح (الإذن: {permission})',
+  'capability.secure': 'نعم',
+  'capability.insecure': 'لا — يتطلب الميكروفون والحافظة HTTPS',
+
+  'analytics.title': 'الاستخدام',
+  'analytics.description': 'مسجّل في هذا المتصفح فقط.',
+  'analytics.exportCsv': 'تصدير CSV',
+  'analytics.clear': 'مسح البيانات',
+  'analytics.messages': 'الرسائل المرسلة',
+  'analytics.avgLatency': 'متوسط زمن الرد',
+  'analytics.ms': '{ms} مللي ث',
+  'analytics.latencyHint': 'زمن ذهاب وإياب ‎/api/ask للردود التي وصلت',
+  'analytics.ratedReplies': 'الردود المقيّمة',
+  'analytics.perDay_other': 'الرسائل يوميًا، آخر {count} يومًا',
+  'analytics.dayCount_zero': '{date}: لا رسائل',
+  'analytics.dayCount_one': '{date}: رسالة واحدة',
+  'analytics.dayCount_two': '{date}: رسالتان',
+  'analytics.dayCount_few': '{date}: {count} رسائل',
+  'analytics.dayCount_many': '{date}: {count} رسالة',
+  'analytics.dayCount_other': '{date}: {count} رسالة',
+  'analytics.input': 'الإدخال',
+  'analytics.typed': 'مكتوبة',
+  'analytics.voice': 'صوتية',
+  'analytics.feedback': 'التقييمات',
+}
@@ -0,0 +1,354 @@
+// English UI strings; the reference catalog every other locale falls back to.
+// {name} is replaced from t()'s params; keys ending in _one/_other are plural forms.
+
+export default {
+  'common.cancel': 'Cancel',
+  'common.copied': 'Copied',
+  'common.copy': 'Copy',
+  'common.delete': 'Delete',
+  'common.dismiss': 'Dismiss',
+  'common.done': 'Done',
+  'common.resetDefaults': 'Reset to defaults',
+  'common.retry': 'Retry',
+
+  'status.connected': 'Connected',
+  'status.offline': 'Offline',
+  'status.connectionRestored': 'Connection restored.',
+  'status.connectionLost': 'Connection lost. Messages will be sent when Roger is back online.',
+  'offline.deviceOffline': 'You\'re offline. Saved conversations are still available, and new messages will be sent when you reconnect.',
+  'offline.serverUnreachable': 'Can\'t reach Roger right now. Saved conversations are still available, and new messages will be sent when the server is back.',
+  'tabs.voiceMoved': 'Voice moved to another Roger tab.',
+
+  'conversation.untitled': 'Conversation',
+  'conversation.new': 'New conversation',
+  'conversation.newShort': 'New',
+  'conversation.newWithPersona': 'New conversation with a persona',
+  'conversation.branchTitle': '{title} (branch)',
+
+  'notFound.title': 'Conversation not found',
+  'notFound.body': 'This link points to a conversation that does not exist or was deleted.',
+  'notFound.openLatest': 'Open latest',
+
+  'sidebar.title': 'Conversations',
+  'sidebar.open': 'Open conversations',
+  'sidebar.close': 'Close conversations',
+  'sidebar.empty': 'No conversations yet',
+  'sidebar.pinned': 'Pinned',
+  'sidebar.actionsFor': 'Actions for {title}',
+  'sidebar.rename': 'Rename',
+  'sidebar.pin': 'Pin',
+  'sidebar.unpin': 'Unpin',
+  'sidebar.archive': 'Archive',
+  'sidebar.unarchive': 'Unarchive',
+  'sidebar.export': 'Export…',
+  'sidebar.print': 'Print / PDF',
+  'sidebar.showArchived_one': 'Show archived ({count})',
+  'sidebar.showArchived_other': 'Show archived ({count})',
+  'sidebar.hideArchived': 'Hide archived',
+  'sidebar.deleteTitle': 'Delete conversation?',
+  'sidebar.deleteBody': '“{title}” and all of its messages will be permanently removed.',
+
+  'search.button': 'Search…',
+  'search.title': 'Search conversations',
+  'search.description': 'Search conversation titles and messages',
+  'search.placeholder': 'Search conversations and messages...',
+  'search.noMatches': 'No matches',
+  'search.you': 'You',
+  'search.assistant': 'Roger',
+
+  'transfer.import': 'Import…',
+  'transfer.exportAll': 'Export all…',
+  'transfer.importFailed': 'Import failed: {error}',
+  'transfer.you': 'You',
+  'transfer.assistant': 'Roger',
+  'transfer.system': 'System',
+  'transfer.lastUpdated': 'Last updated {date}',
+  'transfer.importedTitle': 'Imported conversation',
+  'transfer.invalidJson': 'The file is not valid JSON.',
+  'transfer.notExport': 'This is not a Roger conversation export.',
+  'transfer.unsupportedVersion': 'Unsupported export version: {version}.',
+
+  'account.signedIn': 'Signed in',
+  'account.signOut': 'Sign out',
+
+  'persona.title': 'Persona',
+  'persona.greeting': "Hi! I'm Roger. How can I help today?",
+  'persona.newName': 'New persona',
+  'persona.newGreeting': 'Hi! How can I help today?',
+  'persona.untitled': 'Untitled',
+  'persona.startWith': 'Start with persona',
+  'persona.manage': 'Manage personas…',
+  'persona.dialogTitle': 'Personas',
+  'persona.dialogDescription': 'Presets for how Roger behaves. Pick one when starting a conversation.',
+  'persona.add': '+ New persona',
+  'persona.isDefault': 'Used for new conversations',
+  'persona.makeDefault': 'Use for new conversations',
+  'persona.field.name': 'Name',
+  'persona.field.greeting': 'Greeting',
+  'persona.field.systemPrompt': 'System prompt',
+  'persona.field.systemPromptPlaceholder': 'How this persona should behave, e.g. “You are a concise code reviewer.”',
+  'persona.field.voice': 'Voice',
+  'persona.field.voiceDefault': 'Use voice settings',
+  'persona.field.temperature': 'Temperature',
+  'persona.field.serverDefault': 'Server default',
+  'persona.field.model': 'Model',
+  'persona.field.modelHint': 'Only used if the backend lets clients choose a model.',
+  'persona.field.contextLimit': 'Context limit (estimated tokens)',
+  'persona.field.contextLimitHint': 'Roger warns when a conversation nears this size and offers to summarize it. Match it to the model’s context window.',
+
+  'snippets.title': 'Snippets',
+  'snippets.noMatches': 'No matching snippets',
+  'snippets.manage': 'Manage snippets…',
+  'snippets.fillTitle': 'Fill in /{name}',
+  'snippets.insert': 'Insert',
+  'snippets.dialogTitle': 'Prompt snippets',
+  'snippets.dialogDescription': 'Type / in the message box to insert one. Write {{name}} for a placeholder you fill in each time.',
+  'snippets.add': '+ New snippet',
+  'snippets.empty': 'No snippets yet.',
+  'snippets.newName': 'snippet',
+  'snippets.untitled': 'untitled',
+  'snippets.field.name': 'Command',
+  'snippets.field.text': 'Text',
+  'snippets.field.textHint': 'Placeholders such as {{topic}} are asked for when the snippet is used.',
+  'snippets.field.placeholders': 'Asks for: {names}',
+  'snippets.starter.explain': 'Explain {{topic}} as if I were {{audience}}.',
+  'snippets.starter.translate': 'Translate the following into {{language}}:\n\n',
+  'snippets.starter.review': 'Review this {{language}} code for bugs and readability:\n\n',
+
+  'chat.skipToComposer': 'Skip to message box',
+  'chat.messages': 'Messages',
+  'chat.loadingOlder': 'Loading earlier messages…',
+  'chat.loadOlder': 'Load earlier messages',
+  'chat.jumpToLatest': 'Jump to latest',
+  'chat.jumpToLatestLabel': 'Jump to latest message',
+  'chat.composerLabel': 'Message Roger',
+  'chat.placeholder': 'Ask Roger anything...',
+  'chat.composerHint': 'Shift+Enter for new line · ↑ earlier prompts · / snippets',
+  'context.draft_one': '~{tokens} token',
+  'context.draft_other': '~{tokens} tokens',
+  'context.thread': '~{used} / {limit} in this conversation',
+  'context.meterTitle': 'Estimated tokens. Roger sees the persona’s system prompt and every message in the conversation.',
+  'context.near': 'This conversation is getting long (~{used} of {limit} estimated tokens). Roger may soon lose track of the earliest messages.',
+  'context.over': 'This conversation is past its context limit (~{used} of {limit} estimated tokens). The earliest messages may no longer reach Roger.',
+  'context.summarize': 'Summarize and continue',
+  'context.summarizing': 'Summarizing…',
+  'context.continuedTitle': '{title} (continued)',
+  'context.continued': 'Continued in a new conversation with a summary of this one.',
+  'context.continuedFrom': 'Continued from “{title}”',
+  'context.continuedIn': 'Continued in “{title}” →',
+  'chat.send': 'Send',
+  'chat.stop': 'Stop',
+  'chat.stopGenerating': 'Stop generating',
+  'chat.replyAnnouncement': '{name} said: {text}',
+
+  'message.youSaid': 'You said:',
+  'message.assistantSaid': 'Roger said:',
+  'message.summary': 'Summary of the earlier conversation',
+  'message.notDelivered': 'Not delivered',
+  'message.waiting': 'Waiting for connection — will send automatically',
+  'message.readAloud': 'Read aloud',
+  'message.readFrom': 'Read from a sentence',
+  'message.previousReply': 'Previous reply',
+  'message.nextReply': 'Next reply',
+  'message.edit': 'Edit',
+  'message.regenerate': 'Regenerate',
+  'message.branch': 'Branch from here',
+  'message.sendAsBranch': 'Send as new branch',
+  'message.saveAndResend': 'Save & resend',
+
+  'feedback.good': 'Good answer',
+  'feedback.bad': 'Bad answer',
+  'feedback.commentUp': 'What was good? (optional)',
+  'feedback.commentDown': 'What went wrong? (optional)',
+  'feedback.send': 'Send',
+
+  'reading.resume': 'Resume reading',
+  'reading.pause': 'Pause reading',
+  'reading.stop': 'Stop reading',
+  'reading.previous': 'Previous sentence',
+  'reading.next': 'Next sentence',
+
+  'markdown.code': 'code',
+
+  'attachments.attach': 'Attach files',
+  'attachments.drop': 'Drop files to attach',
+  'attachments.remove': 'Remove {name}',
+  'attachments.someFailed': 'Some files were not attached — {errors}',
+  'attachments.unsupportedType': '{name}: unsupported file type',
+  'attachments.tooLarge': '{name}: larger than {size}',
+  'attachments.tooMany_one': '{name}: at most {count} attachment per message',
+  'attachments.tooMany_other': '{name}: at most {count} attachments per message',
+
+  'errors.loadOlder': 'Could not load earlier messages. Please try again.',
+  'errors.updateConversation': 'Could not update the conversation. Please try again.',
+  'errors.deleteConversation': 'Could not delete the conversation. Please try again.',
+  'errors.regenerate': 'Could not regenerate the reply. {reason}',
+  'errors.feedback': 'Could not send your feedback. Please try again.',
+  'errors.summarize': 'Could not summarize the conversation. {reason}',
+
+  'error.timeout': 'Roger took too long to answer.',
+  'error.network': 'Could not reach the server.',
+  'error.sessionExpired': 'Your session has expired. Sign in again.',
+  'error.tooLarge': 'The message or its attachments are too large.',
+  'error.rateLimited': 'Too many requests — wait a moment and retry.',
+  'error.rejected': 'The server rejected this message ({status}).',
+  'error.rejectedWithReason': 'The server rejected this message: {reason}.',
+  'error.server': 'The server had a problem ({status}).',
+  'error.unknown': 'Something went wrong.',
+
+  'voice.toggle': 'Voice',
+  'voice.readRepliesAloud': 'Read replies aloud',
+  'voice.microphone': 'Microphone',
+  'voice.speak': 'Speak',
+  'voice.stop': 'Stop',
+  'voice.talk': 'Talk',
+  'voice.talkTitle': 'Hands-free conversation',
+  'voice.notSupported': 'Voice not supported',
+  'voice.endConversationMode': 'End conversation mode',
+  'voice.phaseLabel': '{phase}. End conversation mode',
+  'voice.phase.listening': 'Listening',
+  'voice.phase.thinking': 'Thinking',
+  'voice.phase.speaking': 'Speaking',
+  'voice.micBlocked': 'Microphone permission blocked. Please allow access in your browser settings.',
+  'voice.micDenied': 'Microphone permission denied.',
+  'voice.silenceEnded': 'Conversation mode ended after a period of silence.',
+  'voice.recognitionError': 'Speech recognition error. Try again.',
+  'voice.unsupported': 'Speech recognition is not supported in this browser.',
+  'voice.listening': 'Listening... Speak now',
+  'voice.startFailed': 'Could not start speech recognition. Make sure only one tab is listening.',
+  'voice.conversationModeOn': 'Conversation mode on — just talk. Stays open until you stop or go quiet.',
+  'voice.preview': "Hi, I'm Roger. This is how I sound.",
+  'voice.settings': 'Voice settings',
+  'voice.settings.description': 'Choose how Roger speaks and which language it listens for.',
+  'voice.settings.speech': 'Speech',
+  'voice.settings.language': 'Language',
+  'voice.settings.appLanguage': 'Same as the app — {language}',
+  'voice.settings.voice': 'Voice',
+  'voice.settings.automatic': 'Automatic',
+  'voice.settings.rate': 'Rate',
+  'voice.settings.pitch': 'Pitch',
+  'voice.settings.volume': 'Volume',
+  'voice.settings.preview': 'Preview',
+  'voice.settings.recognition': 'Recognition',
+  'voice.settings.listeningLanguage': 'Listening language',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.description': 'Enter sends a message; Shift+Enter adds a new line. ↑ recalls earlier prompts and typing / opens your snippets.',
+  'shortcuts.search': 'Search conversations',
+  'shortcuts.new': 'New conversation',
+  'shortcuts.previous': 'Previous conversation',
+  'shortcuts.next': 'Next conversation',
+  'shortcuts.composer': 'Focus the message box',
+  'shortcuts.mic': 'Start or stop the microphone',
+  'shortcuts.help': 'Show keyboard shortcuts',
+
+  'appearance.title': 'Appearance and language',
+  'appearance.description': 'Saved in this browser and used on every page.',
+  'appearance.language': 'Language',
+  'appearance.theme': 'Theme',
+  'appearance.theme.system': 'System',
+  'appearance.theme.light': 'Light',
+  'appearance.theme.dark': 'Dark',
+  'appearance.fontSize': 'Text size',
+  'appearance.fontSize.small': 'Small',
+  'appearance.fontSize.medium': 'Medium',
+  'appearance.fontSize.large': 'Large',
+  'appearance.fontSize.larger': 'Larger',
+  'appearance.density': 'Message density',
+  'appearance.density.compact': 'Compact',
+  'appearance.density.comfortable': 'Comfortable',
+  'appearance.density.spacious': 'Spacious',
+  'appearance.highContrast': 'High contrast',
+  'appearance.highContrastHint': 'Stronger text and borders',
+
+  'login.signInTitle': 'Sign in to Roger',
+  'login.signUpTitle': 'Create your account',
+  'login.expired': 'Your session expired. Sign in again to pick up where you left off.',
+  'login.name': 'Name',
+  'login.email': 'Email',
+  'login.password': 'Password',
+  'login.wait': 'Please wait…',
+  'login.signIn': 'Sign in',
+  'login.signUp': 'Sign up',
+  'login.newHere': 'New to Roger?',
+  'login.haveAccount': 'Already have an account?',
+  'login.createAccount': 'Create an account',
+  'login.incorrect': 'Incorrect email or password.',
+  'login.exists': 'An account with this email already exists.',
+
+  'diagnostics.title': 'Diagnostics',
+  'diagnostics.copyReport': 'Copy diagnostic report',
+  'diagnostics.copied': 'Copied to clipboard',
+  'diagnostics.downloaded': 'Clipboard unavailable — report downloaded',
+  'diagnostics.backHome': 'Back to Home',
+  'diagnostics.backend': 'Backend',
+  'diagnostics.notSet': '(not set — using default)',
+  'diagnostics.backendStatus': 'Backend status',
+  'diagnostics.database': 'Database',
+  'diagnostics.checking': 'checking...',
+  'diagnostics.checkingDatabase': 'Checking database...',
+  'diagnostics.connected': 'Connected - {message}',
+  'diagnostics.failed': 'Failed - {message}',
+  'diagnostics.error': 'Error - {message}',
+  'diagnostics.backendUnreachable': 'Backend not accessible',
+  'diagnostics.databaseFailed': 'Database check failed - {message}',
+  'diagnostics.db.backend': 'Backend:',
+  'diagnostics.db.database': 'Database:',
+  'diagnostics.db.url': 'DB URL:',
+  'diagnostics.db.name': 'DB Name:',
+  'diagnostics.db.connection': 'Connection:',
+  'diagnostics.db.collections': 'Collections:',
+  'diagnostics.testAgain': 'Test Again',
+  'diagnostics.latency': 'Endpoint latency',
+  'diagnostics.autoRefresh': 'Re-measure every {seconds}s',
+  'diagnostics.measureReads': 'Measure reads',
+  'diagnostics.clearHistory': 'Clear history',
+  'diagnostics.noSamples': 'No samples yet',
+  'diagnostics.latencyHistory_one': 'Latency history, {count} sample',
+  'diagnostics.latencyHistory_other': 'Latency history, {count} samples',
+  'diagnostics.avg': 'avg {ms}ms',
+  'diagnostics.p95': 'p95 {ms}ms',
+  'diagnostics.max': 'max {ms}ms',
+  'diagnostics.failures': '{failures}/{count} failed',
+  'diagnostics.sendTest': 'Send a test message',
+  'diagnostics.waitingForReply': 'Waiting for reply…',
+  'diagnostics.sendTestHint': 'Posts a short ping from a temporary conversation that is deleted afterwards.',
+  'diagnostics.needsConversation': 'Needs at least one conversation.',
+  'diagnostics.capabilities': 'Browser capabilities',
+  'diagnostics.recheck': 'Re-check',
+  'diagnostics.checkingCapabilities': 'Checking…',
+  'diagnostics.capability.speechRecognition': 'Speech recognition',
+  'diagnostics.capability.speechSynthesis': 'Speech synthesis voices',
+  'diagnostics.capability.microphone': 'Microphone permission',
+  'diagnostics.capability.indexedDB': 'IndexedDB',
+  'diagnostics.capability.clipboard': 'Clipboard',
+  'diagnostics.capability.secureContext': 'Secure context',
+
+  'capability.available': 'Available',
+  'capability.notAvailable': 'Not available',
+  'capability.notSupported': 'Not supported',
+  'capability.indexedDBFailed': 'Could not open a database',
+  'capability.voices_one': '{count} voice',
+  'capability.voices_other': '{count} voices',
+  'capability.clipboard': 'writeText available (permission: {permission})',
+  'capability.secure': 'Yes',
+  'capability.insecure': 'No — microphone and clipboard need HTTPS',
+
+  'analytics.title': 'Usage',
+  'analytics.description': 'Recorded in this browser only.',
+  'analytics.exportCsv': 'Export CSV',
+  'analytics.clear': 'Clear data',
+  'analytics.messages': 'Messages sent',
+  'analytics.avgLatency': 'Average response time',
+  'analytics.ms': '{ms} ms',
+  'analytics.latencyHint': 'Round trip of /api/ask for replies that arrived',
+  'analytics.ratedReplies': 'Rated replies',
+  'analytics.perDay_one': 'Messages per day, last day',
+  'analytics.perDay_other': 'Messages per day, last {count} days',
+  'analytics.dayCount_one': '{date}: {count} message',
+  'analytics.dayCount_other': '{date}: {count} messages',
+  'analytics.input': 'Input',
+  'analytics.typed': 'Typed',
+  'analytics.voice': 'Voice',
+  'analytics.feedback': 'Feedback',
+}
@@ -0,0 +1,353 @@
+// Spanish UI strings. Missing keys fall back to en.js.
+
+export default {
+  'common.cancel': 'Cancelar',
+  'common.copied': 'Copiado',
+  'common.copy': 'Copiar',
+  'common.delete': 'Eliminar',
+  'common.dismiss': 'Descartar',
+  'common.done': 'Listo',
+  'common.resetDefaults': 'Restablecer valores',
+  'common.retry': 'Reintentar',
+
+  'status.connected': 'Conectado',
+  'status.offline': 'Sin conexión',
+  'status.connectionRestored': 'Conexión restablecida.',
+  'status.connectionLost': 'Se perdió la conexión. Los mensajes se enviarán cuando Roger vuelva a estar en línea.',
+  'offline.deviceOffline': 'No tienes conexión. Las conversaciones guardadas siguen disponibles y los mensajes nuevos se enviarán al reconectarte.',
+  'offline.serverUnreachable': 'No se puede conectar con Roger ahora. Las conversaciones guardadas siguen disponibles y los mensajes nuevos se enviarán cuando el servidor vuelva.',
+  'tabs.voiceMoved': 'La voz pasó a otra pestaña de Roger.',
+
+  'conversation.untitled': 'Conversación',
+  'conversation.new': 'Nueva conversación',
+  'conversation.newShort': 'Nueva',
+  'conversation.newWithPersona': 'Nueva conversación con un perfil',
+  'conversation.branchTitle': '{title} (rama)',
+
+  'notFound.title': 'Conversación no encontrada',
+  'notFound.body': 'Este enlace apunta a una conversación que no existe o que se eliminó.',
+  'notFound.openLatest': 'Abrir la más reciente',
+
+  'sidebar.title': 'Conversaciones',
+  'sidebar.open': 'Abrir conversaciones',
+  'sidebar.close': 'Cerrar conversaciones',
+  'sidebar.empty': 'Aún no hay conversaciones',
+  'sidebar.pinned': 'Fijada',
+  'sidebar.actionsFor': 'Acciones para {title}',
+  'sidebar.rename': 'Cambiar nombre',
+  'sidebar.pin': 'Fijar',
+  'sidebar.unpin': 'Dejar de fijar',
+  'sidebar.archive': 'Archivar',
+  'sidebar.unarchive': 'Desarchivar',
+  'sidebar.export': 'Exportar…',
+  'sidebar.print': 'Imprimir / PDF',
+  'sidebar.showArchived_one': 'Mostrar archivada ({count})',
+  'sidebar.showArchived_other': 'Mostrar archivadas ({count})',
+  'sidebar.hideArchived': 'Ocultar archivadas',
+  'sidebar.deleteTitle': '¿Eliminar la conversación?',
+  'sidebar.deleteBody': '«{title}» y todos sus mensajes se eliminarán de forma permanente.',
+
+  'search.button': 'Buscar…',
+  'search.title': 'Buscar conversaciones',
+  'search.description': 'Busca en los títulos y mensajes de las conversaciones',
+  'search.placeholder': 'Buscar conversaciones y mensajes...',
+  'search.noMatches': 'Sin resultados',
+  'search.you': 'Tú',
+  'search.assistant': 'Roger',
+
+  'transfer.import': 'Importar…',
+  'transfer.exportAll': 'Exportar todo…',
+  'transfer.importFailed': 'No se pudo importar: {error}',
+  'transfer.you': 'Tú',
+  'transfer.assistant': 'Roger',
+  'transfer.system': 'Sistema',
+  'transfer.lastUpdated': 'Última actualización: {date}',
+  'transfer.importedTitle': 'Conversación importada',
+  'transfer.invalidJson': 'El archivo no es un JSON válido.',
+  'transfer.notExport': 'Esto no es una exportación de conversaciones de Roger.',
+  'transfer.unsupportedVersion': 'Versión de exportación no compatible: {version}.',
+
+  'account.signedIn': 'Sesión iniciada',
+  'account.signOut': 'Cerrar sesión',
+
+  'persona.title': 'Perfil',
+  'persona.greeting': '¡Hola! Soy Roger. ¿En qué puedo ayudarte hoy?',
+  'persona.newName': 'Nuevo perfil',
+  'persona.newGreeting': '¡Hola! ¿En qué puedo ayudarte hoy?',
+  'persona.untitled': 'Sin título',
+  'persona.startWith': 'Empezar con el perfil',
+  'persona.manage': 'Administrar perfiles…',
+  'persona.dialogTitle': 'Perfiles',
+  'persona.dialogDescription': 'Ajustes de cómo se comporta Roger. Elige uno al empezar una conversación.',
+  'persona.add': '+ Nuevo perfil',
+  'persona.isDefault': 'Se usa en las conversaciones nuevas',
+  'persona.makeDefault': 'Usar en las conversaciones nuevas',
+  'persona.field.name': 'Nombre',
+  'persona.field.greeting': 'Saludo',
+  'persona.field.systemPrompt': 'Instrucciones del sistema',
+  'persona.field.systemPromptPlaceholder': 'Cómo debe comportarse este perfil, p. ej. «Eres un revisor de código conciso».',
+  'persona.field.voice': 'Voz',
+  'persona.field.voiceDefault': 'Usar los ajustes de voz',
+  'persona.field.temperature': 'Temperatura',
+  'persona.field.serverDefault': 'Valor del servidor',
+  'persona.field.model': 'Modelo',
+  'persona.field.modelHint': 'Solo se usa si el servidor permite elegir el modelo.',
+  'persona.field.contextLimit': 'Límite de contexto (tokens estimados)',
+  'persona.field.contextLimitHint': 'Roger avisa cuando una conversación se acerca a este tamaño y ofrece resumirla. Ajústalo a la ventana de contexto del modelo.',
+
+  'snippets.title': 'Fragmentos',
+  'snippets.noMatches': 'Ningún fragmento coincide',
+  'snippets.manage': 'Administrar fragmentos…',
+  'snippets.fillTitle': 'Completar /{name}',
+  'snippets.insert': 'Insertar',
+  'snippets.dialogTitle': 'Fragmentos de texto',
+  'snippets.dialogDescription': 'Escribe / en el cuadro de mensaje para insertar uno. Usa {{nombre}} para un campo que completas cada vez.',
+  'snippets.add': '+ Nuevo fragmento',
+  'snippets.empty': 'Aún no hay fragmentos.',
+  'snippets.newName': 'fragmento',
+  'snippets.untitled': 'sin-nombre',
+  'snippets.field.name': 'Comando',
+  'snippets.field.text': 'Texto',
+  'snippets.field.textHint': 'Los campos como {{tema}} se piden al usar el fragmento.',
+  'snippets.field.placeholders': 'Pide: {names}',
+  'snippets.starter.explain': 'Explícame {{tema}} como si yo fuera {{público}}.',
+  'snippets.starter.translate': 'Traduce lo siguiente al {{idioma}}:\n\n',
+  'snippets.starter.review': 'Revisa este código {{lenguaje}} en busca de errores y legibilidad:\n\n',
+
+  'chat.skipToComposer': 'Ir al cuadro de mensaje',
+  'chat.messages': 'Mensajes',
+  'chat.loadingOlder': 'Cargando mensajes anteriores…',
+  'chat.loadOlder': 'Cargar mensajes anteriores',
+  'chat.jumpToLatest': 'Ir al final',
+  'chat.jumpToLatestLabel': 'Ir al último mensaje',
+  'chat.composerLabel': 'Mensaje para Roger',
+  'chat.placeholder': 'Pregúntale a Roger lo que quieras...',
+  'chat.composerHint': 'Mayús+Intro para nueva línea · ↑ mensajes anteriores · / fragmentos',
+  'context.draft_one': '~{tokens} token',
+  'context.draft_other': '~{tokens} tokens',
+  'context.thread': '~{used} / {limit} en esta conversación',
+  'context.meterTitle': 'Tokens estimados. Roger ve las instrucciones de sistema de la persona y todos los mensajes de la conversación.',
+  'context.near': 'Esta conversación se está alargando (~{used} de {limit} tokens estimados). Roger pronto podría perder de vista los primeros mensajes.',
+  'context.over': 'Esta conversación supera su límite de contexto (~{used} de {limit} tokens estimados). Puede que los primeros mensajes ya no lleguen a Roger.',
+  'context.summarize': 'Resumir y continuar',
+  'context.summarizing': 'Resumiendo…',
+  'context.continuedTitle': '{title} (continuación)',
+  'context.continued': 'Continúa en una conversación nueva con un resumen de esta.',
+  'context.continuedFrom': 'Continuación de «{title}»',
+  'context.continuedIn': 'Continúa en «{title}» →',
+  'chat.send': 'Enviar',
+  'chat.stop': 'Detener',
+  'chat.stopGenerating': 'Dejar de generar',
+  'chat.replyAnnouncement': '{name} dijo: {text}',
+
+  'message.youSaid': 'Dijiste:',
+  'message.assistantSaid': 'Roger dijo:',
+  'message.summary': 'Resumen de la conversación anterior',
+  'message.notDelivered': 'No entregado',
+  'message.waiting': 'Esperando conexión — se enviará automáticamente',
+  'message.readAloud': 'Leer en voz alta',
+  'message.readFrom': 'Leer desde una frase',
+  'message.previousReply': 'Respuesta anterior',
+  'message.nextReply': 'Respuesta siguiente',
+  'message.edit': 'Editar',
+  'message.regenerate': 'Regenerar',
+  'message.branch': 'Crear rama desde aquí',
+  'message.sendAsBranch': 'Enviar como nueva rama',
+  'message.saveAndResend': 'Guardar y reenviar',
+
+  'feedback.good': 'Buena respuesta',
+  'feedback.bad': 'Mala respuesta',
+  'feedback.commentUp': '¿Qué estuvo bien? (opcional)',
+  'feedback.commentDown': '¿Qué salió mal? (opcional)',
+  'feedback.send': 'Enviar',
+
+  'reading.resume': 'Reanudar lectura',
+  'reading.pause': 'Pausar lectura',
+  'reading.stop': 'Detener lectura',
+  'reading.previous': 'Frase anterior',
+  'reading.next': 'Frase siguiente',
+
+  'markdown.code': 'código',
+
+  'attachments.attach': 'Adjuntar archivos',
+  'attachments.drop': 'Suelta los archivos para adjuntarlos',
+  'attachments.remove': 'Quitar {name}',
+  'attachments.someFailed': 'Algunos archivos no se adjuntaron — {errors}',
+  'attachments.unsupportedType': '{name}: tipo de archivo no compatible',
+  'attachments.tooLarge': '{name}: supera {size}',
+  'attachments.tooMany_one': '{name}: como máximo {count} adjunto por mensaje',
+  'attachments.tooMany_other': '{name}: como máximo {count} adjuntos por mensaje',
+
+  'errors.loadOlder': 'No se pudieron cargar los mensajes anteriores. Inténtalo de nuevo.',
+  'errors.updateConversation': 'No se pudo actualizar la conversación. Inténtalo de nuevo.',
+  'errors.deleteConversation': 'No se pudo eliminar la conversación. Inténtalo de nuevo.',
+  'errors.regenerate': 'No se pudo regenerar la respuesta. {reason}',
+  'errors.feedback': 'No se pudo enviar tu valoración. Inténtalo de nuevo.',
+  'errors.summarize': 'No se pudo resumir la conversación. {reason}',
+
+  'error.timeout': 'Roger tardó demasiado en responder.',
+  'error.network': 'No se pudo conectar con el servidor.',
+  'error.sessionExpired': 'Tu sesión ha caducado. Vuelve a iniciar sesión.',
+  'error.tooLarge': 'El mensaje o sus adjuntos son demasiado grandes.',
+  'error.rateLimited': 'Demasiadas solicitudes — espera un momento y vuelve a intentarlo.',
+  'error.rejected': 'El servidor rechazó este mensaje ({status}).',
+  'error.rejectedWithReason': 'El servidor rechazó este mensaje: {reason}.',
+  'error.server': 'El servidor tuvo un problema ({status}).',
+  'error.unknown': 'Algo salió mal.',
+
+  'voice.toggle': 'Voz',
+  'voice.readRepliesAloud': 'Leer las respuestas en voz alta',
+  'voice.microphone': 'Micrófono',
+  'voice.speak': 'Hablar',
+  'voice.stop': 'Detener',
+  'voice.talk': 'Conversar',
+  'voice.talkTitle': 'Conversación manos libres',
+  'voice.notSupported': 'Voz no compatible',
+  'voice.endConversationMode': 'Salir del modo conversación',
+  'voice.phaseLabel': '{phase}. Salir del modo conversación',
+  'voice.phase.listening': 'Escuchando',
+  'voice.phase.thinking': 'Pensando',
+  'voice.phase.speaking': 'Hablando',
+  'voice.micBlocked': 'El permiso del micrófono está bloqueado. Permite el acceso en los ajustes del navegador.',
+  'voice.micDenied': 'Se denegó el permiso del micrófono.',
+  'voice.silenceEnded': 'El modo conversación terminó tras un rato de silencio.',
+  'voice.recognitionError': 'Error de reconocimiento de voz. Inténtalo de nuevo.',
+  'voice.unsupported': 'Este navegador no admite el reconocimiento de voz.',
+  'voice.listening': 'Escuchando... Habla ahora',
+  'voice.startFailed': 'No se pudo iniciar el reconocimiento de voz. Asegúrate de que solo una pestaña esté escuchando.',
+  'voice.conversationModeOn': 'Modo conversación activado — solo habla. Sigue abierto hasta que lo detengas o te quedes en silencio.',
+  'voice.preview': 'Hola, soy Roger. Así es como sueno.',
+  'voice.settings': 'Ajustes de voz',
+  'voice.settings.description': 'Elige cómo habla Roger y en qué idioma escucha.',
+  'voice.settings.speech': 'Habla',
+  'voice.settings.language': 'Idioma',
+  'voice.settings.appLanguage': 'Igual que la aplicación — {language}',
+  'voice.settings.voice': 'Voz',
+  'voice.settings.automatic': 'Automática',
+  'voice.settings.rate': 'Velocidad',
+  'voice.settings.pitch': 'Tono',
+  'voice.settings.volume': 'Volumen',
+  'voice.settings.preview': 'Escuchar',
+  'voice.settings.recognition': 'Reconocimiento',
+  'voice.settings.listeningLanguage': 'Idioma de escucha',
+
+  'shortcuts.title': 'Atajos de teclado',
+  'shortcuts.description': 'Intro envía un mensaje; Mayús+Intro añade una línea nueva. ↑ recupera mensajes anteriores y al escribir / se abren tus fragmentos.',
+  'shortcuts.search': 'Buscar conversaciones',
+  'shortcuts.new': 'Nueva conversación',
+  'shortcuts.previous': 'Conversación anterior',
+  'shortcuts.next': 'Conversación siguiente',
+  'shortcuts.composer': 'Ir al cuadro de mensaje',
+  'shortcuts.mic': 'Activar o desactivar el micrófono',
+  'shortcuts.help': 'Mostrar atajos de teclado',
+
+  'appearance.title': 'Apariencia e idioma',
+  'appearance.description': 'Se guarda en este navegador y se aplica en todas las páginas.',
+  'appearance.language': 'Idioma',
+  'appearance.theme': 'Tema',
+  'appearance.theme.system': 'Sistema',
+  'appearance.theme.light': 'Claro',
+  'appearance.theme.dark': 'Oscuro',
+  'appearance.fontSize': 'Tamaño del texto',
+  'appearance.fontSize.small': 'Pequeño',
+  'appearance.fontSize.medium': 'Mediano',
+  'appearance.fontSize.large': 'Grande',
+  'appearance.fontSize.larger': 'Muy grande',
+  'appearance.density': 'Densidad de mensajes',
+  'appearance.density.compact': 'Compacta',
+  'appearance.density.comfortable': 'Cómoda',
+  'appearance.density.spacious': 'Amplia',
+  'appearance.highContrast': 'Alto contraste',
+  'appearance.highContrastHint': 'Texto y bordes más marcados',
+
+  'login.signInTitle': 'Inicia sesión en Roger',
+  'login.signUpTitle': 'Crea tu cuenta',
+  'login.expired': 'Tu sesión caducó. Vuelve a iniciar sesión para seguir donde lo dejaste.',
+  'login.name': 'Nombre',
+  'login.email': 'Correo electrónico',
+  'login.password': 'Contraseña',
+  'login.wait': 'Espera…',
+  'login.signIn': 'Iniciar sesión',
+  'login.signUp': 'Registrarse',
+  'login.newHere': '¿Nuevo en Roger?',
+  'login.haveAccount': '¿Ya tienes una cuenta?',
+  'login.createAccount': 'Crear una cuenta',
+  'login.incorrect': 'Correo o contraseña incorrectos.',
+  'login.exists': 'Ya existe una cuenta con este correo.',
+
+  'diagnostics.title': 'Diagnóstico',
+  'diagnostics.copyReport': 'Copiar informe de diagnóstico',
+  'diagnostics.copied': 'Copiado al portapapeles',
+  'diagnostics.downloaded': 'Portapapeles no disponible — informe descargado',
+  'diagnostics.backHome': 'Volver al inicio',
+  'diagnostics.backend': 'Servidor',
+  'diagnostics.notSet': '(sin definir — se usa el valor predeterminado)',
+  'diagnostics.backendStatus': 'Estado del servidor',
+  'diagnostics.database': 'Base de datos',
+  'diagnostics.checking': 'comprobando...',
+  'diagnostics.checkingDatabase': 'Comprobando la base de datos...',
+  'diagnostics.connected': 'Conectado - {message}',
+  'diagnostics.failed': 'Falló - {message}',
+  'diagnostics.error': 'Error - {message}',
+  'diagnostics.backendUnreachable': 'No se puede acceder al servidor',
+  'diagnostics.databaseFailed': 'Falló la comprobación de la base de datos - {message}',
+  'diagnostics.db.backend': 'Servidor:',
+  'diagnostics.db.database': 'Base de datos:',
+  'diagnostics.db.url': 'URL de la BD:',
+  'diagnostics.db.name': 'Nombre de la BD:',
+  'diagnostics.db.connection': 'Conexión:',
+  'diagnostics.db.collections': 'Colecciones:',
+  'diagnostics.testAgain': 'Probar de nuevo',
+  'diagnostics.latency': 'Latencia de los endpoints',
+  'diagnostics.autoRefresh': 'Volver a medir cada {seconds} s',
+  'diagnostics.measureReads': 'Medir lecturas',
+  'diagnostics.clearHistory': 'Borrar historial',
+  'diagnostics.noSamples': 'Aún no hay muestras',
+  'diagnostics.latencyHistory_one': 'Historial de latencia, {count} muestra',
+  'diagnostics.latencyHistory_other': 'Historial de latencia, {count} muestras',
+  'diagnostics.avg': 'media {ms} ms',
+  'diagnostics.p95': 'p95 {ms} ms',
+  'diagnostics.max': 'máx. {ms} ms',
+  'diagnostics.failures': '{failures}/{count} fallidas',
+  'diagnostics.sendTest': 'Enviar un mensaje de prueba',
+  'diagnostics.waitingForReply': 'Esperando respuesta…',
+  'diagnostics.sendTestHint': 'Envía un ping corto desde una conversación temporal que se borra después.',
+  'diagnostics.needsConversation': 'Necesita al menos una conversación.',
+  'diagnostics.capabilities': 'Funciones del navegador',
+  'diagnostics.recheck': 'Volver a comprobar',
+  'diagnostics.checkingCapabilities': 'Comprobando…',
+  'diagnostics.capability.speechRecognition': 'Reconocimiento de voz',
+  'diagnostics.capability.speechSynthesis': 'Voces de síntesis',
+  'diagnostics.capability.microphone': 'Permiso del micrófono',
+  'diagnostics.capability.indexedDB': 'IndexedDB',
+  'diagnostics.capability.clipboard': 'Portapapeles',
+  'diagnostics.capability.secureContext': 'Contexto seguro',
+
+  'capability.available': 'Disponible',
+  'capability.notAvailable': 'No disponible',
+  'capability.notSupported': 'No compatible',
+  'capability.indexedDBFailed': 'No se pudo abrir una base de datos',
+  'capability.voices_one': '{count} voz',
+  'capability.voices_other': '{count} voces',
+  'capability.clipboard': 'writeText disponible (permiso: {permission})',
+  'capability.secure': 'Sí',
+  'capability.insecure': 'No — el micrófono y el portapapeles necesitan HTTPS',
+
+  'analytics.title': 'Uso',
+  'analytics.description': 'Registrado solo en este navegador.',
+  'analytics.exportCsv': 'Exportar CSV',
+  'analytics.clear': 'Borrar datos',
+  'analytics.messages': 'Mensajes enviados',
+  'analytics.avgLatency': 'Tiempo medio de respuesta',
+  'analytics.ms': '{ms} ms',
+  'analytics.latencyHint': 'Ida y vuelta de /api/ask para las respuestas recibidas',
+  'analytics.ratedReplies': 'Respuestas valoradas',
+  'analytics.perDay_one': 'Mensajes por día, último día',
+  'analytics.perDay_other': 'Mensajes por día, últimos {count} días',
+  'analytics.dayCount_one': '{date}: {count} mensaje',
+  'analytics.dayCount_other': '{date}: {count} mensajes',
+  'analytics.input': 'Entrada',
+  'analytics.typed': 'Escrita',
+  'analytics.voice': 'Voz',
+  'analytics.feedback': 'Valoraciones',
+}
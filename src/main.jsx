@@ -3,15 +3,28 @@ import ReactDOM from 'react-dom/client'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import App from './App'
 import Test from './Test'
+import Analytics from './Analytics'
+import Login from './Login'
+import RequireAuth from './components/RequireAuth'
+import ThemeProvider from './components/ThemeProvider'
+import { registerServiceWorker } from './lib/pwa'
 import './index.css'
 
+registerServiceWorker()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <BrowserRouter>
-      <Routes>
-        <Route path="/" element={<App />} />
-        <Route path="/test" element={<Test />} />
-      </Routes>
-    </BrowserRouter>
+    <ThemeProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route path="/" element={<RequireAuth><App /></RequireAuth>} />
+          <Route path="/c/:conversationId" element={<RequireAuth><App /></RequireAuth>} />
+          <Route path="/c/:conversationId/m/:messageIndex" element={<RequireAuth><App /></RequireAuth>} />
+          <Route path="/test" element={<Test />} />
+          <Route path="/analytics" element={<RequireAuth><Analytics /></RequireAuth>} />
+        </Routes>
+      </BrowserRouter>
+    </ThemeProvider>
   </React.StrictMode>,
 )
\ No newline at end of file
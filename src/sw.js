@@ -0,0 +1,92 @@
+/* global __PRECACHE_MANIFEST__ */
+// Roger's service worker, emitted as /sw.js by the build (see vite.config.js), which
+// fills in the list of files to precache. It precaches the built app shell, serves the
+// conversation list and message reads stale-while-revalidate, and turns Background
+// Sync events into a request for an open tab to replay its offline queue.
+//
+// Cache and tag names are shared with src/lib/pwa.js.
+
+const PRECACHE = __PRECACHE_MANIFEST__
+
+const SHELL_CACHE_PREFIX = 'roger-shell-'
+const API_CACHE = 'roger-api'
+const QUEUE_SYNC_TAG = 'roger-ask-queue'
+
+// GET /api/conversations and GET /api/conversations/:id/messages, on whatever origin the backend is
+const API_READ = /\/api\/conversations(\/[^/]+\/messages)?\/?$/
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE_PREFIX + PRECACHE.version)
+    await cache.addAll(['/', ...PRECACHE.files.map(file => `/${file}`)])
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith(SHELL_CACHE_PREFIX) && name !== SHELL_CACHE_PREFIX + PRECACHE.version)
+      .map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+// Callers that need the server's answer (diagnostics timings, the startup list) say so
+const bypassesCache = (request) =>
+  request.cache === 'no-store' || /no-cache|no-store/.test(request.headers.get('Cache-Control') || '')
+
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(API_CACHE)
+  const cached = await cache.match(event.request)
+  const network = fetch(event.request).then((res) => {
+    if (res.ok) cache.put(event.request, res.clone()).catch(() => {})
+    return res
+  })
+  if (!cached) return network
+  event.waitUntil(network.catch(() => {}))
+  return cached
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+
+  if (request.method !== 'GET') {
+    // Anything that writes (asks, renames, deletes) makes the cached reads stale
+    if (url.pathname.startsWith('/api/')) event.waitUntil(caches.delete(API_CACHE))
+    return
+  }
+  if (API_READ.test(url.pathname)) {
+    if (bypassesCache(request)) return
+    event.respondWith(staleWhileRevalidate(event))
+    return
+  }
+  if (url.origin !== self.location.origin) return
+  // Pages go to the network first so a deploy shows up right away; offline they get the shell
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(async () => (await caches.match('/')) || Response.error()))
+    return
+  }
+  event.respondWith(caches.match(request).then(cached => cached || fetch(request)))
+})
+
+// The worker has no access to the session token, so an open tab does the replaying. If none
+// is open the sync fails and the browser retries it later; the app also replays on start.
+function askToFlush(client) {
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel()
+    channel.port1.onmessage = (e) => e.data?.ok ? resolve() : reject(new Error('The queue could not be replayed'))
+    client.postMessage({ type: 'flush-queue' }, [channel.port2])
+  })
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== QUEUE_SYNC_TAG) return
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window' })
+    if (windows.length === 0) throw new Error('No open tab to replay the queue')
+    await askToFlush(windows.find(w => w.focused) || windows[0])
+  })())
+})
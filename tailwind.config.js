@@ -1,11 +1,74 @@
+import colors from 'tailwindcss/colors'
+import plugin from 'tailwindcss/plugin'
+
+// Theme tokens. The UI is written against the slate ramp (950 = page, 800 = bubble,
+// 100 = primary text) plus a few accent hues for status text. Those colors resolve to
+// CSS variables, so light mode mirrors the ramp and high contrast pulls text and
+// borders one step further from the background, without touching component classes.
+const SHADES = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]
+const ACCENTS = ['red', 'amber', 'emerald', 'blue', 'purple']
+const ACCENT_SHADES = [100, 200, 300, 400] // used as text on dark surfaces
+
+const mirror = (shade) => shade === 50 ? 950 : shade === 950 ? 50 : 1000 - shade
+// One step toward white; applied to text and border shades in high contrast
+const brighter = { 100: 50, 200: 100, 300: 200, 400: 300, 500: 400, 600: 400, 700: 500 }
+
+const channels = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)).join(' ')
+const token = (hue, shade) => `rgb(var(--color-${hue}-${shade}) / <alpha-value>)`
+
+function variables(pick) {
+  const vars = {}
+  for (const shade of SHADES) vars[`--color-slate-${shade}`] = channels(colors.slate[pick('slate', shade)])
+  for (const hue of ACCENTS) {
+    for (const shade of ACCENT_SHADES) vars[`--color-${hue}-${shade}`] = channels(colors[hue][pick(hue, shade)])
+  }
+  return vars
+}
+
+const dark = variables((hue, shade) => shade)
+const light = variables((hue, shade) => mirror(shade))
+const darkContrast = variables((hue, shade) => brighter[shade] ?? shade)
+const lightContrast = variables((hue, shade) => mirror(brighter[shade] ?? shade))
+
+const themeTokens = plugin(({ addBase }) => {
+  addBase({
+    ':root, [data-theme="dark"]': { ...dark, colorScheme: 'dark' },
+    '[data-theme="light"]': { ...light, colorScheme: 'light' },
+    '[data-theme="dark"][data-contrast="more"], [data-contrast="more"] [data-theme="dark"]': darkContrast,
+    '[data-theme="light"][data-contrast="more"]': lightContrast,
+
+    ':root': { '--message-gap': '1rem', '--bubble-x': '1rem', '--bubble-y': '0.75rem' },
+    '[data-density="compact"]': { '--message-gap': '0.5rem', '--bubble-x': '0.75rem', '--bubble-y': '0.5rem' },
+    '[data-density="spacious"]': { '--message-gap': '1.5rem', '--bubble-x': '1.25rem', '--bubble-y': '1rem' },
+
+    // Everything is sized in rem, so the root size scales the whole UI
+    '[data-font-size="small"]': { fontSize: '87.5%' },
+    '[data-font-size="large"]': { fontSize: '112.5%' },
+    '[data-font-size="larger"]': { fontSize: '125%' },
+  })
+})
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  darkMode: ['selector', '[data-theme="dark"]'],
   theme: {
     extend: {
+      colors: {
+        slate: Object.fromEntries(SHADES.map(shade => [shade, token('slate', shade)])),
+        ...Object.fromEntries(ACCENTS.map(hue => [hue, {
+          ...colors[hue],
+          ...Object.fromEntries(ACCENT_SHADES.map(shade => [shade, token(hue, shade)])),
+        }])),
+      },
+      spacing: {
+        message: 'var(--message-gap)',
+        'bubble-x': 'var(--bubble-x)',
+        'bubble-y': 'var(--bubble-y)',
+      },
       fontFamily: {
         sans: ['Inter', 'system-ui', '-apple-system', 'BlinkMacSystemFont', 'Segoe UI', 'Roboto', 'sans-serif'],
         geist: ['Geist', 'system-ui', 'sans-serif'],
@@ -48,5 +111,5 @@ export default {
       },
     },
   },
-  plugins: [],
-}
\ No newline at end of file
+  plugins: [themeTokens],
+}
@@ -1,8 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
+
+// Emits the service worker (src/sw.js) as /sw.js with the built files and public assets
+// it should precache. The version changes with every build that changes a file, which
+// makes browsers install the new worker and drop the old shell cache.
+function serviceWorker() {
+  let publicDir
+  return {
+    name: 'roger-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(options, bundle) {
+      // Browsers that run service workers all load the .woff2 fonts, so the older formats are skipped
+      const built = Object.keys(bundle).filter(file => !/\.(map|ttf|woff)$/.test(file))
+      const assets = publicDir ? readdirSync(publicDir).filter(file => !file.startsWith('.')) : []
+      const files = [...new Set([...built, ...assets])].sort()
+      const hash = createHash('sha256')
+      for (const file of built) {
+        const item = bundle[file]
+        hash.update(file).update(item.type === 'chunk' ? item.code : item.source)
+      }
+      const manifest = { version: hash.digest('hex').slice(0, 12), files }
+      const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+        .replace('const PRECACHE = __PRECACHE_MANIFEST__', `const PRECACHE = ${JSON.stringify(manifest)}`)
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    }
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   optimizeDeps: {
     // Exclude packages that shouldn't be pre-bundled
     exclude: [],